@@ -0,0 +1,60 @@
+/**
+ * Timing check for the fracture engine: cuts every species at the largest
+ * expert count in every fracture style and vein mode, and fails if any cut
+ * takes longer than the budget.
+ *
+ *   npm run check:timing
+ *
+ * Runs the engine through Vite's module loader, so it sees the same
+ * sources the game does. Each puzzle is cut once first to warm up, then
+ * timed over a few seeds; the slowest counts.
+ */
+
+import { createServer } from 'vite';
+
+const PIECES = 200;
+const BUDGET_MS = 200;
+const SEEDS = [1, 2, 3, 4, 5];
+
+const server = await createServer({
+  logLevel: 'error',
+  appType: 'custom',
+  server: { middlewareMode: true, hmr: false },
+  optimizeDeps: { noDiscovery: true, include: [] },
+});
+
+let failed = false;
+try {
+  const { LEAF_SPECIES } = await server.ssrLoadModule('/src/data/leaves.js');
+  const { generateFragments } = await server.ssrLoadModule('/src/engine/fracture.js');
+  const { FRACTURE_STYLES, VEIN_MODES } = await server.ssrLoadModule('/src/engine/fractureStyles.js');
+
+  for (const species of LEAF_SPECIES) {
+    const outline = species.generateOutline();
+    const veins = species.generateVeins();
+    for (const [style, { usesVeins, needsImpact }] of Object.entries(FRACTURE_STYLES)) {
+      for (const veinMode of usesVeins ? Object.keys(VEIN_MODES) : ['ignore']) {
+        const options = { pieceCount: PIECES, style, veins, veinMode, impact: needsImpact ? { x: 0, y: 0 } : null };
+        generateFragments(outline, 'expert', 0, options);
+        let slowest = 0;
+        for (const seed of SEEDS) {
+          const start = performance.now();
+          generateFragments(outline, 'expert', seed, options);
+          slowest = Math.max(slowest, performance.now() - start);
+        }
+        const over = slowest > BUDGET_MS;
+        if (over) failed = true;
+        console.log(
+          `${over ? '✗' : '✓'} ${species.id.padEnd(9)} ${style.padEnd(9)} ${veinMode.padEnd(7)} ${slowest.toFixed(0).padStart(4)} ms`
+        );
+      }
+    }
+  }
+} finally {
+  await server.close();
+}
+
+if (failed) {
+  console.error(`Some ${PIECES}-piece cuts took over ${BUDGET_MS} ms`);
+  process.exit(1);
+}
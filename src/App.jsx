@@ -1,31 +1,233 @@
-import React, { useState, useCallback } from 'react';
+import React, { useState, useCallback, useEffect } from 'react';
 import TitleScreen from './components/TitleScreen';
 import LeafSelect from './components/LeafSelect';
 import PuzzleCanvas from './components/PuzzleCanvas';
+import StatsScreen from './components/StatsScreen';
+import DailyCalendar from './components/DailyCalendar';
+import { LEAF_SPECIES } from './data/leaves';
+import {
+  DEFAULT_SETTINGS,
+  randomSeed,
+  encodePuzzleCode,
+  decodePuzzleCode,
+} from './engine/puzzleCode';
+import { readSave, writeSave, clearSave } from './engine/saveGame';
+import { readSavedReplay, writeSavedReplay, clearSavedReplay, copyReplay } from './engine/replay';
+import { readStats, writeStats, recordSolve, recordKey } from './engine/stats';
+import { scoreSolve } from './engine/scoring';
+import {
+  dateKey,
+  dailyPuzzle,
+  dailyStreak,
+  recordDaily,
+  readDailies,
+  writeDailies,
+} from './engine/daily';
+
+const PUZZLE_PARAM = 'puzzle';
+
+/** Look up a puzzle code from the URL, if it names a known species. */
+function readPuzzleFromUrl() {
+  const params = new URLSearchParams(window.location.search);
+  const decoded = decodePuzzleCode(params.get(PUZZLE_PARAM));
+  if (!decoded) return null;
+  const species = LEAF_SPECIES.find((s) => s.id === decoded.speciesId);
+  return species ? { ...decoded, species } : null;
+}
+
+/** Mirror the current puzzle code into the address bar (or clear it). */
+function writePuzzleToUrl(code) {
+  const url = new URL(window.location.href);
+  if (code) url.searchParams.set(PUZZLE_PARAM, code);
+  else url.searchParams.delete(PUZZLE_PARAM);
+  window.history.replaceState(null, '', url);
+}
+
+/** The puzzle code of a day's daily leaf. */
+function dailyCode(key) {
+  const { species, seed, settings } = dailyPuzzle(key, LEAF_SPECIES);
+  return encodePuzzleCode({ speciesId: species.id, seed, settings });
+}
+
+/**
+ * A save to resume, with the replay kept for it if that's of the same
+ * puzzle and as far along (see saveGame.js).
+ */
+function withReplay(save, replay) {
+  const matches =
+    replay?.puzzleCode === save?.puzzleCode && replay?.events.length === save?.replayEvents;
+  return save && matches ? { ...save, replay } : save;
+}
+
+/** Whether the system asks for reduced motion (the starting value of the Motion toggle). */
+function prefersReducedMotion() {
+  return window.matchMedia?.('(prefers-reduced-motion: reduce)').matches ?? false;
+}
 
 export default function App() {
-  const [phase, setPhase] = useState('title'); // title | select | playing | victory
-  const [species, setSpecies] = useState(null);
-  const [difficulty, setDifficulty] = useState('medium');
+  const [initialPuzzle] = useState(readPuzzleFromUrl);
+  // The puzzle in progress, if any. Kept here as well as in storage, so
+  // Continue still works for this visit when there's no storage
+  const [savedGame, setSavedGame] = useState(readSave);
+  const [savedReplay, setSavedReplay] = useState(readSavedReplay); // its solve's replay so far
+  // A save to carry on from as the puzzle opens: Continue, or a reload of
+  // the puzzle that was saved
+  const [resume, setResume] = useState(() =>
+    initialPuzzle && savedGame && savedGame.puzzleCode === encodePuzzleCode(initialPuzzle)
+      ? withReplay(savedGame, savedReplay)
+      : null
+  );
+  const [phase, setPhase] = useState(initialPuzzle ? 'playing' : 'title'); // title | select | stats | daily | playing | victory
+  const [species, setSpecies] = useState(initialPuzzle?.species ?? null);
+  const [settings, setSettings] = useState(initialPuzzle?.settings ?? DEFAULT_SETTINGS);
+  const [seed, setSeed] = useState(initialPuzzle?.seed ?? randomSeed);
   const [finalTime, setFinalTime] = useState(0);
   const [autumn, setAutumn] = useState(true);
+  const [reducedMotion, setReducedMotion] = useState(prefersReducedMotion);
+  const [trayPosition, setTrayPosition] = useState('off');
+  // Personal records, kept here as well as in storage (like savedGame)
+  const [stats, setStats] = useState(readStats);
+  const [lastSolve, setLastSolve] = useState(null); // recordSolve's result for the puzzle just finished
+  const [lastScore, setLastScore] = useState(null); // and its scoreSolve result
+  const [statsFrom, setStatsFrom] = useState('title'); // where the stats screen's Back goes
+  // Dailies finished, by day (also kept like savedGame), and which day's
+  // daily is being played, if the puzzle on screen is one
+  const [dailies, setDailies] = useState(readDailies);
+  const [dailyKey, setDailyKey] = useState(() => {
+    if (resume) return resume.daily ?? null;
+    const today = dateKey();
+    return initialPuzzle && encodePuzzleCode(initialPuzzle) === dailyCode(today) ? today : null;
+  });
+  const [lastDaily, setLastDaily] = useState(null); // { streak } when the puzzle just finished was today's
+  const [sharedReplay, setSharedReplay] = useState(null); // someone's replay to watch as the puzzle opens
+  const [attempt, setAttempt] = useState(0); // bumped by Restart, to lay the same puzzle out afresh
+  const today = dateKey();
+
+  const puzzleCode = species && encodePuzzleCode({ speciesId: species.id, seed, settings });
+  const inPuzzle = phase === 'playing' || phase === 'victory';
+
+  // Keep the URL shareable while a puzzle is on screen
+  useEffect(() => {
+    writePuzzleToUrl(inPuzzle ? puzzleCode : null);
+  }, [inPuzzle, puzzleCode]);
 
   const handlePlay = useCallback(() => setPhase('select'), []);
 
   const handleStartPuzzle = useCallback(
-    (selectedSpecies, selectedDifficulty) => {
+    (selectedSpecies, selectedSettings, selectedSeed = randomSeed()) => {
       setSpecies(selectedSpecies);
-      setDifficulty(selectedDifficulty);
+      setSettings(selectedSettings);
+      setSeed(selectedSeed);
+      setResume(null);
+      setDailyKey(null);
+      setSharedReplay(null);
       setPhase('playing');
     },
     []
   );
 
-  const handleVictory = useCallback((time) => {
-    setFinalTime(time);
-    setPhase('victory');
+  // Open a shared replay's puzzle, watching the replay first
+  const handleWatchReplay = useCallback((replaySpecies, replaySettings, replaySeed, replay) => {
+    setSpecies(replaySpecies);
+    setSettings(replaySettings);
+    setSeed(replaySeed);
+    setResume(null);
+    setDailyKey(null);
+    setSharedReplay(replay);
+    setPhase('playing');
   }, []);
 
+  // Pick the saved puzzle back up where it was left
+  const handleContinue = useCallback(() => {
+    const savedSpecies = savedGame && LEAF_SPECIES.find((s) => s.id === savedGame.speciesId);
+    if (!savedSpecies) return;
+    setSpecies(savedSpecies);
+    setSettings(savedGame.settings);
+    setSeed(savedGame.seed);
+    setResume(withReplay(savedGame, savedReplay));
+    setDailyKey(savedGame.daily ?? null);
+    setSharedReplay(null);
+    setPhase('playing');
+  }, [savedGame, savedReplay]);
+
+  // Play a day's daily leaf (today's by default), carrying on if it's the
+  // saved puzzle
+  const handlePlayDaily = useCallback(
+    (key = dateKey()) => {
+      const daily = dailyPuzzle(key, LEAF_SPECIES);
+      setSpecies(daily.species);
+      setSettings(daily.settings);
+      setSeed(daily.seed);
+      setResume(savedGame?.puzzleCode === dailyCode(key) ? withReplay(savedGame, savedReplay) : null);
+      setDailyKey(key);
+      setSharedReplay(null);
+      setPhase('playing');
+    },
+    [savedGame, savedReplay]
+  );
+
+  // Autosave, with the replay so far
+  const handleSaveProgress = useCallback(
+    (save, replay) => {
+      const saved = dailyKey ? { ...save, daily: dailyKey } : save;
+      setSavedGame(saved);
+      writeSave(saved);
+      // A copy, as PuzzleCanvas carries on recording into its own
+      setSavedReplay(copyReplay(replay));
+      writeSavedReplay(replay);
+    },
+    [dailyKey]
+  );
+
+  const handleVictory = useCallback(
+    (time, { rotations = 0, hints = 0, moves = 0, guideOffShare = 0, pieces = 1 } = {}) => {
+      const result = scoreSolve({
+        time,
+        moves,
+        rotations,
+        hints,
+        guideOffShare,
+        pieces,
+        speciesDifficulty: species.difficulty,
+        difficulty: settings.difficulty,
+        rotationMode: settings.rotationMode,
+      });
+      const solve = recordSolve(stats, species.id, recordKey(settings), {
+        time,
+        rotations,
+        hints,
+        score: result.score,
+        stars: result.stars,
+      });
+      setStats(solve.stats);
+      writeStats(solve.stats);
+      setLastSolve(solve);
+      setLastScore(result);
+      if (dailyKey) {
+        const now = dateKey();
+        const updated = recordDaily(dailies, dailyKey, time, dailyKey === now);
+        setDailies(updated);
+        writeDailies(updated);
+        setLastDaily(dailyKey === now ? { streak: dailyStreak(updated, now) } : null);
+      } else {
+        setLastDaily(null);
+      }
+      setFinalTime(time);
+      setPhase('victory');
+      // A finished puzzle has nothing left to continue
+      setSavedGame(null);
+      clearSave();
+      setSavedReplay(null);
+      clearSavedReplay();
+    },
+    [stats, species, settings, dailyKey, dailies]
+  );
+
+  const handleShowStats = useCallback(() => {
+    setStatsFrom(phase);
+    setPhase('stats');
+  }, [phase]);
+
   const handleBackToSelect = useCallback(() => {
     setPhase('select');
   }, []);
@@ -36,17 +238,61 @@ export default function App() {
   }, []);
 
   const handlePlayAgain = useCallback(() => {
-    // Re-start same leaf and difficulty (new seed)
+    // Re-start same leaf and settings (new seed, and a fresh tap for shatter
+    // puzzles), which makes it no longer the daily
+    setSeed(randomSeed());
+    setDailyKey(null);
+    setSharedReplay(null);
+    setSettings((prev) =>
+      prev.impactX == null ? prev : { ...prev, impactX: null, impactY: null }
+    );
     setPhase('playing');
   }, []);
 
+  // Start the same puzzle over: same seed and settings, so today's leaf
+  // stays the daily and a shared code or replay stays that puzzle
+  const handleRestart = useCallback(() => {
+    setResume(null);
+    setSharedReplay(null);
+    setAttempt((n) => n + 1);
+    setPhase('playing');
+  }, []);
+
+  // Radial shatter: the player's tap becomes part of the puzzle (and its code)
+  const handleShatter = useCallback((point) => {
+    setSettings((prev) => ({ ...prev, impactX: point.x, impactY: point.y }));
+  }, []);
+
   const handleNewLeaf = useCallback(() => {
     setPhase('select');
   }, []);
 
   return (
-    <div style={{ width: '100%', height: '100%' }}>
-      {phase === 'title' && <TitleScreen onPlay={handlePlay} />}
+    <div className={reducedMotion ? 'reduced-motion' : undefined} style={{ width: '100%', height: '100%' }}>
+      {phase === 'title' && (
+        <TitleScreen
+          onPlay={handlePlay}
+          savedGame={savedGame}
+          onContinue={handleContinue}
+          onShowStats={handleShowStats}
+          dailyDone={dailies[today]}
+          streak={dailyStreak(dailies, today)}
+          onPlayDaily={() => handlePlayDaily()}
+          onShowDailies={() => setPhase('daily')}
+        />
+      )}
+
+      {phase === 'daily' && (
+        <DailyCalendar
+          dailies={dailies}
+          today={today}
+          streak={dailyStreak(dailies, today)}
+          onPlay={handlePlayDaily}
+          onBack={() => setPhase('title')}
+        />
+      )}
+
+      {phase === 'stats' && <StatsScreen stats={stats} onBack={() => setPhase(statsFrom)} />}
 
       {phase === 'select' && (
         <LeafSelect
@@ -54,18 +300,40 @@ export default function App() {
           onBack={handleBackToTitle}
           autumn={autumn}
           onToggleAutumn={() => setAutumn((a) => !a)}
+          reducedMotion={reducedMotion}
+          onToggleMotion={() => setReducedMotion((r) => !r)}
+          savedGame={savedGame}
+          onContinue={handleContinue}
+          stats={stats}
+          onShowStats={handleShowStats}
+          onWatchReplay={handleWatchReplay}
         />
       )}
 
-      {(phase === 'playing' || phase === 'victory') && species && (
+      {inPuzzle && species && (
         <PuzzleCanvas
           species={species}
-          difficulty={difficulty}
+          settings={settings}
+          seed={seed}
+          puzzleCode={puzzleCode}
           autumn={autumn}
+          reducedMotion={reducedMotion}
+          trayPosition={trayPosition}
+          onTrayChange={setTrayPosition}
+          resume={resume}
+          onSaveProgress={handleSaveProgress}
+          sharedReplay={sharedReplay}
+          onSharedReplayClosed={() => setSharedReplay(null)}
           onVictory={handleVictory}
           onBack={handleBackToSelect}
+          attempt={attempt}
+          onRestart={handleRestart}
+          onShatter={handleShatter}
           isVictory={phase === 'victory'}
           finalTime={finalTime}
+          personalBest={lastSolve}
+          score={lastScore}
+          dailyResult={lastDaily}
           onPlayAgain={handlePlayAgain}
           onNewLeaf={handleNewLeaf}
         />
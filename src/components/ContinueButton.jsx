@@ -0,0 +1,18 @@
+import React from 'react';
+import { LEAF_SPECIES } from '../data/leaves';
+import { formatTime } from '../engine/stats';
+
+/** "Continue puzzle" for the saved game, with which leaf it is and how far along. */
+export default function ContinueButton({ savedGame, onContinue }) {
+  const species = savedGame && LEAF_SPECIES.find((s) => s.id === savedGame.speciesId);
+  if (!species) return null;
+
+  return (
+    <button className="btn-secondary continue-btn" onClick={onContinue} title={`Carry on with ${savedGame.puzzleCode}`}>
+      Continue puzzle
+      <span className="continue-detail">
+        {species.name} · {savedGame.placed}/{savedGame.total} placed · {formatTime(savedGame.elapsed)}
+      </span>
+    </button>
+  );
+}
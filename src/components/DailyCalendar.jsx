@@ -0,0 +1,88 @@
+import React, { useState } from 'react';
+import { dateKey } from '../engine/daily';
+import { formatTime } from '../engine/stats';
+
+const WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+/**
+ * A month of daily leaves: finished days are ticked, and any day up to
+ * today can be played (or replayed).
+ */
+export default function DailyCalendar({ dailies, today, streak, onPlay, onBack }) {
+  const [month, setMonth] = useState(() => {
+    const [y, m] = today.split('-').map(Number);
+    return new Date(y, m - 1, 1);
+  });
+
+  const year = month.getFullYear();
+  const daysInMonth = new Date(year, month.getMonth() + 1, 0).getDate();
+  const leadingBlanks = (month.getDay() + 6) % 7; // weeks start on Monday
+  const days = Array.from({ length: daysInMonth }, (_, i) => dateKey(new Date(year, month.getMonth(), i + 1)));
+  const isCurrentMonth = dateKey(month).slice(0, 7) === today.slice(0, 7);
+  const shiftMonth = (n) => setMonth(new Date(year, month.getMonth() + n, 1));
+
+  return (
+    <div className="screen" style={{ gap: '1rem', padding: '1rem', overflowY: 'auto' }}>
+      <div style={{ display: 'flex', alignItems: 'center', gap: '1rem', width: '100%', maxWidth: 640 }}>
+        <button className="btn-secondary" onClick={onBack} style={{ fontSize: '0.95rem', padding: '0.4rem 1rem' }}>
+          ← Back
+        </button>
+        <h2
+          style={{
+            fontFamily: 'var(--font-display)',
+            fontSize: '1.8rem',
+            fontWeight: 700,
+            color: 'var(--color-text)',
+          }}
+        >
+          Daily leaves
+        </h2>
+      </div>
+
+      <p className="species-scientific">
+        {streak > 0 ? `🔥 ${streak}-day streak` : 'Finish today’s leaf to start a streak'}
+      </p>
+
+      <div className="calendar-month">
+        <button className="link-btn" onClick={() => shiftMonth(-1)} aria-label="Previous month">
+          ‹
+        </button>
+        <span>{month.toLocaleDateString(undefined, { month: 'long', year: 'numeric' })}</span>
+        <button
+          className="link-btn"
+          onClick={() => shiftMonth(1)}
+          disabled={isCurrentMonth}
+          aria-label="Next month"
+        >
+          ›
+        </button>
+      </div>
+
+      <div className="calendar-grid">
+        {WEEKDAYS.map((d) => (
+          <div key={d} className="calendar-weekday">
+            {d}
+          </div>
+        ))}
+        {Array.from({ length: leadingBlanks }, (_, i) => (
+          <div key={`blank-${i}`} />
+        ))}
+        {days.map((key) => {
+          const done = dailies[key];
+          return (
+            <button
+              key={key}
+              className={`calendar-day ${done ? 'done' : ''} ${key === today ? 'today' : ''}`}
+              onClick={() => onPlay(key)}
+              disabled={key > today}
+              title={done ? `Finished in ${formatTime(done.time)} — play again` : 'Play this day’s leaf'}
+            >
+              <span>{Number(key.slice(8))}</span>
+              {done && <span className="calendar-tick">{done.onTheDay ? '✓' : '↺'}</span>}
+            </button>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
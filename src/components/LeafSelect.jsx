@@ -1,7 +1,13 @@
 import React, { useState, useRef, useEffect, useCallback } from 'react';
 import { LEAF_SPECIES, drawLeaf } from '../data/leaves';
+import { DEFAULT_SETTINGS, decodePuzzleCode } from '../engine/puzzleCode';
+import { FRACTURE_STYLES, VEIN_MODES } from '../engine/fractureStyles';
+import { EXPERT_PIECE_RANGE, pieceCountFor, customPieceCount, speciesPieceRange } from '../engine/fracture';
+import { formatTime, statsRecord, recordKey } from '../engine/stats';
+import { parseReplay } from '../engine/replay';
+import ContinueButton from './ContinueButton';
 
-function LeafThumbnail({ species, selected, onClick, autumn }) {
+function LeafThumbnail({ species, selected, onClick, autumn, best, bestFor }) {
   const canvasRef = useRef(null);
 
   useEffect(() => {
@@ -29,21 +35,139 @@ function LeafThumbnail({ species, selected, onClick, autumn }) {
       />
       <div className="leaf-card-name">{species.name}</div>
       <div className="difficulty-stars">{stars}</div>
+      {best != null && (
+        <div className="best-badge" title={`Your best time on ${bestFor}`}>
+          🏆 {formatTime(best)}
+        </div>
+      )}
+    </div>
+  );
+}
+
+/** A labelled row of toggle buttons for one puzzle setting. */
+function OptionRow({ label, options, value, onChange }) {
+  return (
+    <div className="option-row">
+      {label && <span className="option-label">{label}</span>}
+      <div className="difficulty-selector">
+        {options.map(({ value: v, label: text, title }) => (
+          <button
+            key={v}
+            className={`difficulty-btn ${value === v ? 'active' : ''}`}
+            onClick={() => onChange(v)}
+            title={title}
+          >
+            {text}
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+/** A labelled slider for a numeric puzzle setting. */
+function SliderRow({ label, min, max, step = 1, value, onChange }) {
+  return (
+    <div className="option-row">
+      {label && <span className="option-label">{label}</span>}
+      <div className="slider-row">
+        <input
+          type="range"
+          min={min}
+          max={max}
+          step={step}
+          value={value}
+          onChange={(e) => onChange(Number(e.target.value))}
+          aria-label={label}
+        />
+        <span className="slider-value">{value}</span>
+      </div>
     </div>
   );
 }
 
-export default function LeafSelect({ onStart, onBack, autumn, onToggleAutumn }) {
+const DIFFICULTY_OPTIONS = ['easy', 'medium', 'hard', 'expert'].map((d) => ({
+  value: d,
+  label: d.charAt(0).toUpperCase() + d.slice(1),
+  title: d === 'expert' ? `${EXPERT_PIECE_RANGE.min}–${EXPERT_PIECE_RANGE.max} pieces` : undefined,
+}));
+
+/**
+ * Fit settings to a species: outside expert mode, a piece count (custom or
+ * the difficulty's own) beyond the species' range is clamped into it.
+ */
+function fitToSpecies(species, settings) {
+  if (settings.difficulty === 'expert') return settings;
+  const { min, max } = speciesPieceRange(species);
+  const count = pieceCountFor(settings.difficulty, settings.pieceCount);
+  const fitted = Math.min(max, Math.max(min, count));
+  if (fitted === count) return settings;
+  return { ...settings, pieceCount: customPieceCount(settings.difficulty, fitted) };
+}
+
+const MISSING_OPTIONS = [
+  { value: 0, label: 'All pieces' },
+  { value: 1, label: '1 blown away', title: 'Some pieces blow away — find where the gaps are' },
+  { value: 2, label: '2 blown away', title: 'Some pieces blow away — find where the gaps are' },
+];
+
+const ROTATION_OPTIONS = [
+  { value: 'quarter', label: 'Quarter turns', title: 'Pieces start at 0°, 90°, 180° or 270°' },
+  { value: 'free', label: 'Any angle', title: 'Pieces start at any angle and turn in 15° steps' },
+];
+
+const STYLE_OPTIONS = Object.entries(FRACTURE_STYLES).map(([id, style]) => ({
+  value: id,
+  label: style.label,
+  title: style.description,
+}));
+
+const TEAR_OPTIONS = [
+  { value: 'gentle', label: 'Gentle', title: 'Soft, nearly straight tears' },
+  { value: 'torn', label: 'Torn' },
+  { value: 'ragged', label: 'Ragged', title: 'Deeply jagged tears' },
+];
+
+const VEIN_OPTIONS = Object.entries(VEIN_MODES).map(([id, mode]) => ({
+  value: id,
+  label: mode.label,
+  title: mode.description,
+}));
+
+export default function LeafSelect({
+  onStart,
+  onBack,
+  autumn,
+  onToggleAutumn,
+  reducedMotion,
+  onToggleMotion,
+  savedGame,
+  onContinue,
+  stats,
+  onShowStats,
+  onWatchReplay,
+}) {
   const [selectedId, setSelectedId] = useState(null);
-  const [difficulty, setDifficulty] = useState('medium');
+  const [settings, setSettings] = useState(DEFAULT_SETTINGS);
+  const [code, setCode] = useState('');
+  const [codeError, setCodeError] = useState(false);
+  const [replayError, setReplayError] = useState(false);
+  const replayInputRef = useRef(null);
 
   const selectedSpecies = LEAF_SPECIES.find((s) => s.id === selectedId);
+  const fittedSettings = fitToSpecies(selectedSpecies, settings);
+  const countRange =
+    settings.difficulty === 'expert' ? EXPERT_PIECE_RANGE : speciesPieceRange(selectedSpecies);
 
   const handleStart = useCallback(() => {
     if (selectedSpecies) {
-      onStart(selectedSpecies, difficulty);
+      onStart(selectedSpecies, fitToSpecies(selectedSpecies, settings));
     }
-  }, [selectedSpecies, difficulty, onStart]);
+  }, [selectedSpecies, settings, onStart]);
+
+  const updateSetting = useCallback((key, value) => {
+    setSettings((prev) => ({ ...prev, [key]: value }));
+  }, []);
 
   const handleSurprise = useCallback(() => {
     const randomSpecies =
@@ -51,9 +175,49 @@ export default function LeafSelect({ onStart, onBack, autumn, onToggleAutumn })
     const difficulties = ['easy', 'medium', 'hard'];
     const randomDifficulty =
       difficulties[Math.floor(Math.random() * difficulties.length)];
-    onStart(randomSpecies, randomDifficulty);
+    onStart(
+      randomSpecies,
+      fitToSpecies(randomSpecies, { ...DEFAULT_SETTINGS, difficulty: randomDifficulty })
+    );
   }, [onStart]);
 
+  const handleCodeSubmit = useCallback(
+    (e) => {
+      e.preventDefault();
+      const decoded = decodePuzzleCode(code);
+      const species = decoded && LEAF_SPECIES.find((s) => s.id === decoded.speciesId);
+      if (!species) {
+        setCodeError(true);
+        return;
+      }
+      onStart(species, decoded.settings, decoded.seed);
+    },
+    [code, onStart]
+  );
+
+  // A replay file someone shared: open its puzzle and watch their solve
+  const handleReplayFile = useCallback(
+    (e) => {
+      const file = e.target.files?.[0];
+      e.target.value = ''; // so choosing the same file again still loads it
+      if (!file) return;
+      file.text().then(
+        (text) => {
+          const replay = parseReplay(text);
+          const decoded = replay && decodePuzzleCode(replay.puzzleCode);
+          const species = decoded && LEAF_SPECIES.find((s) => s.id === decoded.speciesId);
+          if (!species) {
+            setReplayError(true);
+            return;
+          }
+          onWatchReplay(species, decoded.settings, decoded.seed, replay);
+        },
+        () => setReplayError(true)
+      );
+    },
+    [onWatchReplay]
+  );
+
   return (
     <div className="screen" style={{ gap: '1rem', padding: '1rem', overflowY: 'auto' }}>
       <div style={{ display: 'flex', alignItems: 'center', gap: '1rem', width: '100%', maxWidth: 640, justifyContent: 'space-between' }}>
@@ -70,26 +234,52 @@ export default function LeafSelect({ onStart, onBack, autumn, onToggleAutumn })
         >
           Choose a leaf
         </h2>
-        <button
-          className="btn-secondary"
-          onClick={onToggleAutumn}
-          style={{ fontSize: '0.9rem', padding: '0.4rem 0.8rem' }}
-          title="Toggle seasonal colours"
-        >
-          {autumn ? '🍂 Autumn' : '🌿 Summer'}
-        </button>
+        <div style={{ display: 'flex', gap: '0.5rem' }}>
+          <button
+            className="btn-secondary"
+            onClick={onToggleAutumn}
+            style={{ fontSize: '0.9rem', padding: '0.4rem 0.8rem' }}
+            title="Toggle seasonal colours"
+          >
+            {autumn ? '🍂 Autumn' : '🌿 Summer'}
+          </button>
+          <button
+            className="btn-secondary"
+            onClick={onToggleMotion}
+            style={{ fontSize: '0.9rem', padding: '0.4rem 0.8rem' }}
+            title="Toggle animations (starts off if your device asks for reduced motion)"
+          >
+            {reducedMotion ? '⏸ Still' : '✨ Motion'}
+          </button>
+          <button
+            className="btn-secondary"
+            onClick={onShowStats}
+            style={{ fontSize: '0.9rem', padding: '0.4rem 0.8rem' }}
+            title="Your best times and records"
+          >
+            📊 Stats
+          </button>
+        </div>
       </div>
 
+      <ContinueButton savedGame={savedGame} onContinue={onContinue} />
+
       <div className="leaf-grid">
-        {LEAF_SPECIES.map((species) => (
-          <LeafThumbnail
-            key={species.id}
-            species={species}
-            selected={selectedId === species.id}
-            onClick={() => setSelectedId(species.id)}
-            autumn={autumn}
-          />
-        ))}
+        {LEAF_SPECIES.map((species) => {
+          // Best time at these settings, as they'd be fitted to this leaf
+          const key = recordKey(fitToSpecies(species, settings));
+          return (
+            <LeafThumbnail
+              key={species.id}
+              species={species}
+              selected={selectedId === species.id}
+              onClick={() => setSelectedId(species.id)}
+              autumn={autumn}
+              best={statsRecord(stats, species.id, key)?.bestTime}
+              bestFor={key}
+            />
+          );
+        })}
       </div>
 
       {selectedSpecies && (
@@ -105,16 +295,52 @@ export default function LeafSelect({ onStart, onBack, autumn, onToggleAutumn })
         </p>
       )}
 
-      <div className="difficulty-selector">
-        {['easy', 'medium', 'hard'].map((d) => (
-          <button
-            key={d}
-            className={`difficulty-btn ${difficulty === d ? 'active' : ''}`}
-            onClick={() => setDifficulty(d)}
-          >
-            {d.charAt(0).toUpperCase() + d.slice(1)}
-          </button>
-        ))}
+      <div className="option-rows">
+        <OptionRow
+          options={DIFFICULTY_OPTIONS}
+          value={settings.difficulty}
+          onChange={(v) => setSettings((prev) => ({ ...prev, difficulty: v, pieceCount: null }))}
+        />
+        <SliderRow
+          label="Count"
+          min={countRange.min}
+          max={countRange.max}
+          step={settings.difficulty === 'expert' ? 10 : 1}
+          value={pieceCountFor(fittedSettings.difficulty, fittedSettings.pieceCount)}
+          onChange={(v) => updateSetting('pieceCount', customPieceCount(settings.difficulty, v))}
+        />
+        <OptionRow
+          label="Break"
+          options={STYLE_OPTIONS}
+          value={settings.fractureStyle}
+          onChange={(v) => updateSetting('fractureStyle', v)}
+        />
+        <OptionRow
+          label="Rotation"
+          options={ROTATION_OPTIONS}
+          value={settings.rotationMode}
+          onChange={(v) => updateSetting('rotationMode', v)}
+        />
+        <OptionRow
+          label="Tear"
+          options={TEAR_OPTIONS}
+          value={settings.tearJaggedness}
+          onChange={(v) => updateSetting('tearJaggedness', v)}
+        />
+        {FRACTURE_STYLES[settings.fractureStyle]?.usesVeins && (
+          <OptionRow
+            label="Veins"
+            options={VEIN_OPTIONS}
+            value={settings.veinMode}
+            onChange={(v) => updateSetting('veinMode', v)}
+          />
+        )}
+        <OptionRow
+          label="Pieces"
+          options={MISSING_OPTIONS}
+          value={settings.missingPieces}
+          onChange={(v) => updateSetting('missingPieces', v)}
+        />
       </div>
 
       <div style={{ display: 'flex', gap: '1rem', flexWrap: 'wrap', justifyContent: 'center' }}>
@@ -130,6 +356,50 @@ export default function LeafSelect({ onStart, onBack, autumn, onToggleAutumn })
           🎲 Surprise me
         </button>
       </div>
+
+      <form className="code-entry" onSubmit={handleCodeSubmit}>
+        <input
+          type="text"
+          value={code}
+          onChange={(e) => {
+            setCode(e.target.value);
+            setCodeError(false);
+          }}
+          placeholder="Puzzle code"
+          aria-label="Puzzle code"
+          spellCheck={false}
+          autoComplete="off"
+        />
+        <button
+          type="submit"
+          className="btn-secondary"
+          disabled={!code.trim()}
+          style={{ fontSize: '0.95rem', padding: '0.4rem 1rem' }}
+        >
+          Play code
+        </button>
+        <button
+          type="button"
+          className="btn-secondary"
+          onClick={() => {
+            setReplayError(false);
+            replayInputRef.current?.click();
+          }}
+          title="Open a replay file someone shared and watch their solve"
+          style={{ fontSize: '0.95rem', padding: '0.4rem 1rem' }}
+        >
+          ▶ Watch a replay
+        </button>
+        <input
+          ref={replayInputRef}
+          type="file"
+          accept=".json,application/json"
+          onChange={handleReplayFile}
+          hidden
+        />
+        {codeError && <span className="code-entry-error">That code doesn't match a puzzle</span>}
+        {replayError && <span className="code-entry-error">That file isn't a replay this version can play</span>}
+      </form>
     </div>
   );
 }
@@ -0,0 +1,101 @@
+import React, { useRef, useEffect } from 'react';
+import { drawFragment } from '../data/leaves';
+import { clusterBounds } from '../engine/layout';
+
+const THUMB_SIZE = 72;
+const DRAG_THRESHOLD = 12; // px a touch must move across the strip before it lifts the piece out
+
+/**
+ * One piece (or joined group) in the tray, drawn the way it's turned.
+ * A mouse picks it up at once; a touch (or pen) only once it moves out
+ * across the strip, so swiping along the strip still scrolls it, and a
+ * touch that doesn't move takes the piece out on release.
+ */
+function TrayPiece({ members, position, species, scale, autumn, onGrab, onTake }) {
+  const canvasRef = useRef(null);
+  const pressRef = useRef(null); // { pointerId, x, y } while a touch rests on the piece
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+    const ctx = canvas.getContext('2d');
+    const dpr = window.devicePixelRatio || 1;
+    canvas.width = THUMB_SIZE * dpr;
+    canvas.height = THUMB_SIZE * dpr;
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    ctx.clearRect(0, 0, THUMB_SIZE, THUMB_SIZE);
+
+    // Shrink the group to fit, centred
+    const b = clusterBounds(members, scale);
+    const fit = Math.min(1.5, (THUMB_SIZE - 10) / Math.max(b.maxX - b.minX, b.maxY - b.minY, 1));
+    ctx.translate(THUMB_SIZE / 2, THUMB_SIZE / 2);
+    ctx.scale(fit, fit);
+    ctx.translate(-(b.minX + b.maxX) / 2, -(b.minY + b.maxY) / 2);
+    for (const f of members) drawFragment(ctx, f, species, 0, 0, scale, autumn);
+  }, [members, species, scale, autumn]);
+
+  return (
+    <button
+      className="tray-piece"
+      onPointerDown={(e) => {
+        if (e.pointerType === 'mouse') onGrab(members, e);
+        else pressRef.current = { pointerId: e.pointerId, x: e.clientX, y: e.clientY };
+      }}
+      onPointerMove={(e) => {
+        const press = pressRef.current;
+        if (!press || press.pointerId !== e.pointerId) return;
+        const across = position === 'side' ? e.clientX - press.x : e.clientY - press.y;
+        if (Math.abs(across) > DRAG_THRESHOLD) {
+          pressRef.current = null;
+          onGrab(members, e);
+        }
+      }}
+      onPointerUp={(e) => {
+        if (pressRef.current?.pointerId !== e.pointerId) return;
+        pressRef.current = null;
+        onTake(members);
+      }}
+      onPointerCancel={() => {
+        // The browser took the touch over to scroll the strip
+        pressRef.current = null;
+      }}
+      onKeyDown={(e) => {
+        if (e.key === 'Enter' || e.key === ' ') {
+          e.preventDefault();
+          onTake(members);
+        }
+      }}
+      aria-label={members.length > 1 ? `${members.length} joined pieces` : 'Piece'}
+      title="Drag onto the board, or tap to take out"
+    >
+      <canvas ref={canvasRef} style={{ width: THUMB_SIZE, height: THUMB_SIZE, display: 'block' }} />
+    </button>
+  );
+}
+
+/**
+ * A scrollable strip of pieces put away off the board, along the bottom
+ * or the side. Pieces are dragged (or tapped) back out onto the board.
+ */
+export default function PieceTray({ trayRef, groups, position, species, scale, autumn, onGrab, onTake }) {
+  return (
+    <div ref={trayRef} className={`piece-tray tray-${position}`} aria-label="Piece tray">
+      {groups.length === 0 ? (
+        <span className="tray-empty">Drag pieces here to put them away</span>
+      ) : (
+        groups.map((members) => (
+          <TrayPiece
+            key={members[0].id}
+            members={members}
+            position={position}
+            species={species}
+            scale={scale}
+            autumn={autumn}
+            onGrab={onGrab}
+            onTake={onTake}
+          />
+        ))
+      )}
+    </div>
+  );
+}
@@ -1,44 +1,298 @@
 import React, { useRef, useEffect, useState, useCallback, useMemo } from 'react';
-import { generateFragments, scatterFragments, checkSnap, snapFragment } from '../engine/fracture';
-import { hitTestFragment } from '../engine/geometry';
-import { drawLeaf, drawFragment } from '../data/leaves';
+import {
+  generateFragments,
+  blowAwayFragments,
+  scatterFragments,
+  deriveRng,
+  checkSnap,
+  snapProximity,
+  snapFragment,
+  normalizeAngle,
+  ROTATION_MODES,
+} from '../engine/fracture';
+import { hitTestFragment, pointInPolygon, polygonBounds, polygonCentroid, dist } from '../engine/geometry';
+import { FRACTURE_STYLES } from '../engine/fractureStyles';
+import { MIN_PIECE_FRACTION } from '../engine/tiling';
+import { clusterOf, moveCluster, rotateCluster, findJoin, joinClusters } from '../engine/clusters';
+import {
+  createHistory,
+  projectPoses,
+  projectHistory,
+  snapshotPoses,
+  restorePoses,
+  recordStep,
+  undoStep,
+  redoStep,
+} from '../engine/history';
+import { identityView, screenToBoard, zoomAt, panBy, fitView } from '../engine/viewport';
+import { boardOutline, clusterBounds, packGroups } from '../engine/layout';
+import {
+  createTweens,
+  startTween,
+  settleTweens,
+  clearTweens,
+  tweenKey,
+  tweenValue,
+  fragmentMotion,
+  poseTween,
+  liftTween,
+  driftTween,
+  burstTween,
+  breathLift,
+  pulseTween,
+  DRIFT_DURATION,
+  IDLE_DELAY,
+} from '../engine/tweens';
+import { hintLimit, hintTarget, nextHintLevel } from '../engine/hints';
+import { createSave, applySave } from '../engine/saveGame';
+import { starString } from '../engine/scoring';
+import { formatTime } from '../engine/stats';
+import {
+  createReplay,
+  logEvent,
+  logChanges,
+  endReplay,
+  replayAt,
+  applyReplayPoses,
+  isReplay,
+  copyReplay,
+  replayFileName,
+} from '../engine/replay';
+import { drawLeaf, drawFragment, LIFT_SCALE } from '../data/leaves';
+import PieceTray from './PieceTray';
 
 const SNAP_DISTANCE = 35;
-const SNAP_ANGLE = 0.4;
-const ROTATE_STEP = Math.PI / 2; // 90° increments
+const SNAP_ANGLE = (20 * Math.PI) / 180; // ±20° either side of upright
+const WARM_DISTANCE = 120; // screen px from its slot at which a moving piece starts to glow
+const FREE_WHEEL_RATE = 0.004; // radians per wheel delta unit for Shift+scroll free rotation
+const WHEEL_ZOOM_RATE = 0.0015; // zoom per wheel delta unit over empty board
+const ZOOM_STEP = 1.25; // zoom buttons and +/- keys
+const TRAY_POSITIONS = ['off', 'bottom', 'side'];
+const SPREAD_GAP = 24; // screen px kept between pieces by Spread out
+const LEAF_NATIVE_SIZE = 400; // approximate extent of leaf coordinates
+const LEAF_FIT = 0.45; // share of the screen's short side the leaf spans
+// The scatter area, in leaf units: a square as wide as the screen's short side
+const SCATTER_SIDE = LEAF_NATIVE_SIZE / LEAF_FIT;
+const PIECES_PER_SCREEN = 20; // beyond this, the scatter area grows past the screen
+const LONG_PRESS_MS = 500; // hold a piece this long (touch/pen) to turn it a step
+const LONG_PRESS_SLOP = 8; // px a long press may wander before it counts as a drag
+const KEY_STEP = 8; // px per arrow press when moving a piece by keyboard
+const KEY_STEP_COARSE = 40; // px per Shift+arrow press
+const REPLAY_SPEEDS = [4, 8, 16]; // replays play sped up; the middle one to start
+const ARROW_DIRECTIONS = {
+  ArrowLeft: { x: -1, y: 0 },
+  ArrowRight: { x: 1, y: 0 },
+  ArrowUp: { x: 0, y: -1 },
+  ArrowDown: { x: 0, y: 1 },
+};
+
+/** Trace a fragment's outline where it currently sits (caller saves/restores ctx). */
+function tracePiece(ctx, frag, scale) {
+  ctx.translate(frag.currentPosition.x, frag.currentPosition.y);
+  ctx.rotate(frag.rotation);
+  ctx.beginPath();
+  frag.polygon.forEach((v, i) => {
+    const x = (v.x - frag.centroid.x) * scale;
+    const y = (v.y - frag.centroid.y) * scale;
+    if (i === 0) ctx.moveTo(x, y);
+    else ctx.lineTo(x, y);
+  });
+  ctx.closePath();
+}
+
+/** A fragment shifted by its tween offsets, for drawing. */
+function withMotion(frag, motion) {
+  if (!motion.dx && !motion.dy && !motion.rotation) return frag;
+  return {
+    ...frag,
+    currentPosition: { x: frag.currentPosition.x + motion.dx, y: frag.currentPosition.y + motion.dy },
+    rotation: frag.rotation + motion.rotation,
+  };
+}
+
+/**
+ * Size the canvas to its container (at device resolution) and place the
+ * leaf: centred, scaled to about half the smaller dimension.
+ */
+function layoutCanvas(container, canvas) {
+  const rect = container.getBoundingClientRect();
+  const dpr = window.devicePixelRatio || 1;
+  canvas.width = rect.width * dpr;
+  canvas.height = rect.height * dpr;
+  canvas.style.width = rect.width + 'px';
+  canvas.style.height = rect.height + 'px';
+
+  const fitSize = Math.min(rect.width, rect.height) * LEAF_FIT;
+  return {
+    width: rect.width,
+    height: rect.height,
+    scale: fitSize / LEAF_NATIVE_SIZE,
+    leafOrigin: { x: rect.width / 2, y: rect.height / 2 },
+  };
+}
+
+/**
+ * Nudge every loose cluster that's wholly or partly outside `rect` (board
+ * coordinates) back inside it, keeping `margin` spare where it fits.
+ */
+function keepInView(fragments, scale, rect, margin) {
+  for (const members of looseGroups(fragments)) {
+    const b = clusterBounds(members, scale);
+    const shift = (min, max, lo, hi) => {
+      if (max - min > hi - lo - margin * 2) return (lo + hi) / 2 - (min + max) / 2;
+      if (min < lo + margin) return lo + margin - min;
+      if (max > hi - margin) return hi - margin - max;
+      return 0;
+    };
+    const dx = shift(b.minX, b.maxX, rect.minX, rect.maxX);
+    const dy = shift(b.minY, b.maxY, rect.minY, rect.maxY);
+    if (dx || dy) moveCluster(members, dx, dy);
+  }
+}
+
+/** One unplaced fragment per cluster on the board, in a stable order — the keyboard's Tab order. */
+function tabOrder(fragments) {
+  const seen = new Set();
+  return [...fragments]
+    .filter((f) => !f.isPlaced && !f.inTray)
+    .sort((a, b) => a.id - b.id)
+    .filter((f) => !seen.has(f.clusterId) && seen.add(f.clusterId));
+}
+
+/** The loose clusters on the board (or, with `inTray`, in the tray), each as its members. */
+function looseGroups(fragments, inTray = false) {
+  const groups = new Map();
+  for (const f of [...fragments].sort((a, b) => a.id - b.id)) {
+    if (f.isPlaced || !!f.inTray !== inTray) continue;
+    if (!groups.has(f.clusterId)) groups.set(f.clusterId, []);
+    groups.get(f.clusterId).push(f);
+  }
+  return [...groups.values()];
+}
+
+/** Trace a fragment's outline at its target spot in the assembled leaf. */
+function traceTarget(ctx, frag, leafOrigin, scale) {
+  ctx.beginPath();
+  frag.polygon.forEach((v, i) => {
+    const x = leafOrigin.x + v.x * scale;
+    const y = leafOrigin.y + v.y * scale;
+    if (i === 0) ctx.moveTo(x, y);
+    else ctx.lineTo(x, y);
+  });
+  ctx.closePath();
+}
+
+/** The keyboard's aiming cursor: a ringed cross at a board point. */
+function drawCursor(ctx, point, zoom) {
+  const r = 10 / zoom;
+  ctx.save();
+  ctx.beginPath();
+  ctx.arc(point.x, point.y, r, 0, Math.PI * 2);
+  ctx.moveTo(point.x - 1.8 * r, point.y);
+  ctx.lineTo(point.x + 1.8 * r, point.y);
+  ctx.moveTo(point.x, point.y - 1.8 * r);
+  ctx.lineTo(point.x, point.y + 1.8 * r);
+  ctx.strokeStyle = 'rgba(255, 255, 255, 0.9)';
+  ctx.lineWidth = 5 / zoom;
+  ctx.stroke();
+  ctx.strokeStyle = '#b85c38';
+  ctx.lineWidth = 2 / zoom;
+  ctx.stroke();
+  ctx.restore();
+}
+
+/** Milliseconds the guide has been off, counting a stretch still running. */
+function guideOffMs(off) {
+  return off.ms + (off.since != null ? Date.now() - off.since : 0);
+}
 
 export default function PuzzleCanvas({
   species,
-  difficulty,
+  settings,
+  seed,
+  puzzleCode,
+  attempt,
   autumn,
+  reducedMotion,
+  trayPosition,
+  onTrayChange,
+  resume,
+  onSaveProgress,
+  sharedReplay,
+  onSharedReplayClosed,
   onVictory,
   onBack,
+  onRestart,
+  onShatter,
   isVictory,
   finalTime,
+  personalBest,
+  score,
+  dailyResult,
   onPlayAgain,
   onNewLeaf,
 }) {
   const canvasRef = useRef(null);
   const containerRef = useRef(null);
   const fragmentsRef = useRef([]);
-  const draggingRef = useRef(null); // { fragmentId, offsetX, offsetY }
+  const missingRef = useRef([]); // blown-away fragments, never on the board until victory
+  const outlineRef = useRef([]);
+  const draggingRef = useRef(null); // { fragmentId, offsetX, offsetY } — drags the fragment's whole cluster
   const leafOriginRef = useRef({ x: 0, y: 0 });
   const scaleRef = useRef(1);
+  const historyRef = useRef(createHistory());
+  const stepStartRef = useRef(null); // poses from before the current drag (or keyboard move), for undo
+  const focusedRef = useRef(null); // id of the keyboard-focused (or last touched) fragment
+  const cursorRef = useRef(null); // leaf-local point the keyboard aims at, to shatter or find a gap
+  const viewRef = useRef(identityView()); // board zoom and pan
+  const pointersRef = useRef(new Map()); // pointerId → screen position, for multi-touch
+  const gestureRef = useRef(null); // two-finger twist or pinch in progress
+  const longPressRef = useRef(null); // { timer, start } while a touch holds a piece still
+  const panRef = useRef(null); // { pointerId, last } while dragging empty board
+  const canvasSizeRef = useRef({ width: 0, height: 0 }); // CSS pixels
+  const tweensRef = useRef(createTweens()); // animations drawn over the fragments' real poses
+  const lastInputRef = useRef(performance.now()); // for idle breathing
+  const celebratedRef = useRef(false); // victory sequence has started
+  const hintLevelRef = useRef(0); // hints given since the player last placed a piece
+  const hintTargetRef = useRef(null); // id of the piece the current hints are about
+  const glowingRef = useRef(false); // a proximity glow is pulsing, so keep animating
+  const trayRef = useRef(null); // the piece tray element, for dropping pieces onto it
+  const trayPositionRef = useRef(trayPosition); // read when a new puzzle is laid out
+  trayPositionRef.current = trayPosition;
+  const lastTrayRef = useRef(trayPosition); // the tray position the board was last laid out for
+  const resumeRef = useRef(resume); // a save to carry on from, used by the first layout only
+  const savingRef = useRef(false); // the player has started, so autosave
+  const turnedRef = useRef(0); // radians the player has turned pieces, for the rotations stat
+  const hintsUsedRef = useRef(0); // hintsUsed, current even mid-event, for the stats
+  const movesRef = useRef(0); // pieces moved somewhere new, for the score
+  const guideOffRef = useRef({ ms: 0, since: null }); // time played with the ghost guide off, for the score
+  const replayRef = useRef(null); // this solve's replay, recorded as it's played
+  const watchingRef = useRef(null); // a replay being watched: { replay, own, time, held, board }
+  const sharedReplayRef = useRef(sharedReplay); // someone's replay of this puzzle, watched as it opens
+  sharedReplayRef.current = sharedReplay;
 
   const [placedCount, setPlacedCount] = useState(0);
   const [totalFragments, setTotalFragments] = useState(0);
   const [showGhost, setShowGhost] = useState(true);
+  const showGhostRef = useRef(showGhost); // read when a new puzzle starts its clock
+  showGhostRef.current = showGhost;
   const [elapsedTime, setElapsedTime] = useState(0);
   const startTimeRef = useRef(null);
   const timerRef = useRef(null);
-  const [puzzleSeed, setPuzzleSeed] = useState(() => Date.now());
-
-  // Format time as M:SS
-  const formatTime = (seconds) => {
-    const m = Math.floor(seconds / 60);
-    const s = seconds % 60;
-    return `${m}:${s.toString().padStart(2, '0')}`;
-  };
+  const [codeCopied, setCodeCopied] = useState(false);
+  const [stage, setStage] = useState('assemble'); // shatter (awaiting tap) | assemble | identify (hunt for blown-away gaps)
+  const [gapsFound, setGapsFound] = useState(0);
+  const [missedTap, setMissedTap] = useState(false);
+  const [tilingReport, setTilingReport] = useState(null);
+  const [showTilingReport, setShowTilingReport] = useState(false); // dev builds only (D)
+  const [historySize, setHistorySize] = useState({ undo: 0, redo: 0 });
+  const [keyboardFocus, setKeyboardFocus] = useState(false); // canvas has focus: show the focus ring
+  const [announcement, setAnnouncement] = useState(''); // read out by screen readers
+  const [hintsUsed, setHintsUsed] = useState(0);
+  const [showWarmth, setShowWarmth] = useState(true); // proximity glow while moving a piece (F)
+  const [trayGroups, setTrayGroups] = useState([]); // loose clusters put away in the tray
+  const [watching, setWatching] = useState(null); // { time, duration, playing, speed, own } for the replay controls
+  const assemblyTimeRef = useRef(0);
 
   // Initialize puzzle
   const initPuzzle = useCallback(() => {
@@ -46,40 +300,145 @@ export default function PuzzleCanvas({
     const canvas = canvasRef.current;
     if (!container || !canvas) return;
 
-    const rect = container.getBoundingClientRect();
-    const dpr = window.devicePixelRatio || 1;
-    canvas.width = rect.width * dpr;
-    canvas.height = rect.height * dpr;
-    canvas.style.width = rect.width + 'px';
-    canvas.style.height = rect.height + 'px';
-
-    const cw = rect.width;
-    const ch = rect.height;
-
-    // Scale leaf to fit nicely (use ~50% of smaller dimension)
-    const leafNativeSize = 400; // approximate extent of leaf coordinates
-    const fitSize = Math.min(cw, ch) * 0.45;
-    const scale = fitSize / leafNativeSize;
+    const { width: cw, height: ch, scale, leafOrigin } = layoutCanvas(container, canvas);
+    canvasSizeRef.current = { width: cw, height: ch };
     scaleRef.current = scale;
-
-    // Center the leaf in the canvas
-    const leafOrigin = { x: cw / 2, y: ch / 2 };
     leafOriginRef.current = leafOrigin;
 
     // Generate leaf outline
     const outline = species.generateOutline();
+    outlineRef.current = outline;
+    clearTweens(tweensRef.current);
+    celebratedRef.current = false;
+    savingRef.current = false;
+    watchingRef.current = null;
+    setWatching(null);
+    replayRef.current = null;
+    cursorRef.current = null;
+
+    // Shatter-style puzzles show the whole leaf until the player taps it
+    const fractureStyle = FRACTURE_STYLES[settings.fractureStyle] || FRACTURE_STYLES.voronoi;
+    if (fractureStyle.needsImpact && settings.impactX == null) {
+      if (timerRef.current) clearInterval(timerRef.current);
+      fragmentsRef.current = [];
+      missingRef.current = [];
+      viewRef.current = identityView();
+      setTotalFragments(0);
+      setTrayGroups([]);
+      setPlacedCount(0);
+      setStage('shatter');
+      setElapsedTime(0);
+      startTimeRef.current = null;
+      render();
+      return;
+    }
 
     // Generate fragments
-    const fragments = generateFragments(outline, difficulty, puzzleSeed);
+    const allFragments = generateFragments(outline, settings.difficulty, seed, {
+      pieceCount: settings.pieceCount,
+      jaggedness: settings.tearJaggedness,
+      style: settings.fractureStyle,
+      veins: species.generateVeins(),
+      veinMode: settings.veinMode,
+      impact: settings.impactX == null ? null : { x: settings.impactX, y: settings.impactY },
+    });
 
-    // Scatter fragments around the canvas
-    scatterFragments(fragments, cw, ch, leafOrigin, scale);
+    setTilingReport(allFragments.validation);
+
+    // Missing-piece mode: some fragments blow away before the player sees them
+    const { remaining: fragments, missing } = blowAwayFragments(
+      allFragments,
+      settings.missingPieces,
+      deriveRng(seed, 2)
+    );
+    missing.forEach((frag) => {
+      frag.isIdentified = false;
+    });
+
+    // Scatter fragments over a square around the leaf, packed in leaf units
+    // and seeded, so a puzzle code lays the pieces out the same way on any
+    // screen. Big puzzles get a square larger than the screen and start
+    // zoomed out to show all of it
+    const spread = Math.min(2, Math.max(1, Math.sqrt(fragments.length / PIECES_PER_SCREEN)));
+    const side = SCATTER_SIDE * spread;
+    const middle = { x: side / 2, y: side / 2 };
+    const crowded = scatterFragments(fragments, side, side, middle, 1, deriveRng(seed, 1), settings.rotationMode);
+    // Pieces with no room of their own start in the tray, if there is one
+    if (trayPositionRef.current !== 'off') crowded.forEach((f) => (f.inTray = true));
+    for (const frag of fragments) {
+      frag.currentPosition = {
+        x: leafOrigin.x + (frag.currentPosition.x - middle.x) * scale,
+        y: leafOrigin.y + (frag.currentPosition.y - middle.y) * scale,
+      };
+    }
+    const boardSide = side * scale;
+    const boardLeft = leafOrigin.x - boardSide / 2;
+    const boardTop = leafOrigin.y - boardSide / 2;
 
     fragmentsRef.current = fragments;
+    missingRef.current = missing;
+    historyRef.current = createHistory();
+    setHistorySize({ undo: 0, redo: 0 });
+    focusedRef.current = null;
+    hintLevelRef.current = 0;
+    hintTargetRef.current = null;
+    setHintsUsed(0);
+    hintsUsedRef.current = 0;
+    turnedRef.current = 0;
+    movesRef.current = 0;
+    guideOffRef.current = { ms: 0, since: showGhostRef.current ? null : Date.now() };
+    viewRef.current =
+      spread > 1
+        ? fitView(
+            { minX: boardLeft, minY: boardTop, maxX: boardLeft + boardSide, maxY: boardTop + boardSide },
+            cw,
+            ch,
+            0
+          )
+        : identityView();
     setTotalFragments(fragments.length);
+    setTrayGroups(looseGroups(fragments, true));
     setPlacedCount(0);
+    setStage('assemble');
+    setGapsFound(0);
+    setMissedTap(false);
     setElapsedTime(0);
     startTimeRef.current = Date.now();
+    replayRef.current = createReplay(puzzleCode, fragments, leafOrigin, scale);
+
+    // Carry on from a save of this same puzzle (only once: Restart starts afresh)
+    const save = resumeRef.current;
+    resumeRef.current = null;
+    if (save && save.puzzleCode === puzzleCode) {
+      applySave(save, fragments, missing, leafOrigin, scale);
+      // With the tray off, anything saved in it comes back out where it was
+      if (trayPositionRef.current === 'off') fragments.forEach((f) => (f.inTray = false));
+      const placed = fragments.filter((f) => f.isPlaced).length;
+      setTrayGroups(looseGroups(fragments, true));
+      setPlacedCount(placed);
+      setHintsUsed(save.hintsUsed);
+      hintsUsedRef.current = save.hintsUsed;
+      turnedRef.current =
+        save.rotations * (ROTATION_MODES[settings.rotationMode]?.step ?? ROTATION_MODES.quarter.step);
+      movesRef.current = save.moves;
+      guideOffRef.current.ms = save.guideOff * 1000;
+      setGapsFound(save.identified.length);
+      setElapsedTime(save.elapsed);
+      // The replay so far carries on too, if App found one kept with the save
+      // (else, as for saves from before replays, one starts here)
+      replayRef.current =
+        isReplay(save.replay) && save.replay.puzzleCode === puzzleCode
+          ? copyReplay(save.replay)
+          : createReplay(puzzleCode, fragments, leafOrigin, scale);
+      if (placed === fragments.length && missing.length > 0) {
+        assemblyTimeRef.current = save.elapsed;
+        startTimeRef.current = null;
+        setStage('identify');
+      } else {
+        startTimeRef.current = Date.now() - save.elapsed * 1000;
+      }
+      savingRef.current = true;
+    }
 
     // Start timer
     if (timerRef.current) clearInterval(timerRef.current);
@@ -89,8 +448,12 @@ export default function PuzzleCanvas({
       }
     }, 1000);
 
+    // Opened to watch someone else's solve of this puzzle first
+    const shared = sharedReplayRef.current;
+    if (shared && shared.puzzleCode === puzzleCode) startWatching(shared, false);
+
     render();
-  }, [species, difficulty, puzzleSeed]);
+  }, [species, settings, seed, puzzleCode, attempt]); // a new attempt (Restart) lays the puzzle out again
 
   // Clean up timer
   useEffect(() => {
@@ -102,12 +465,64 @@ export default function PuzzleCanvas({
   // Initialize on mount and when deps change
   useEffect(() => {
     initPuzzle();
-
-    const handleResize = () => initPuzzle();
-    window.addEventListener('resize', handleResize);
-    return () => window.removeEventListener('resize', handleResize);
   }, [initPuzzle]);
 
+  const rotateStep = ROTATION_MODES[settings.rotationMode]?.step ?? ROTATION_MODES.quarter.step;
+
+  // Autosave the puzzle in progress, and the replay so far with it. Nothing
+  // is saved until the player has done something, so just opening a puzzle
+  // doesn't replace an older save
+  const saveProgress = useCallback(() => {
+    const fragments = fragmentsRef.current;
+    if (!savingRef.current || isVictory || watchingRef.current || fragments.length === 0 || !onSaveProgress) return;
+    const elapsed =
+      stage === 'identify'
+        ? assemblyTimeRef.current
+        : Math.floor((Date.now() - startTimeRef.current) / 1000);
+    onSaveProgress(
+      createSave({
+        puzzleCode,
+        speciesId: species.id,
+        settings,
+        seed,
+        fragments,
+        missing: missingRef.current,
+        leafOrigin: leafOriginRef.current,
+        scale: scaleRef.current,
+        elapsed,
+        hintsUsed,
+        rotations: Math.round(turnedRef.current / rotateStep),
+        moves: movesRef.current,
+        guideOff: Math.round(guideOffMs(guideOffRef.current) / 1000),
+        replayEvents: replayRef.current.events.length,
+      }),
+      replayRef.current
+    );
+  }, [isVictory, stage, puzzleCode, species, settings, seed, hintsUsed, rotateStep, onSaveProgress]);
+  const saveProgressRef = useRef(saveProgress); // for saving on the way out
+  saveProgressRef.current = saveProgress;
+
+  // After every change to the board...
+  useEffect(() => {
+    if (historySize.undo > 0 || hintsUsed > 0) savingRef.current = true;
+    saveProgressRef.current();
+  }, [historySize, placedCount, hintsUsed, gapsFound, stage, trayGroups]);
+
+  // ...and when the tab is hidden or the puzzle closed, so the time is right too
+  useEffect(() => {
+    const save = () => saveProgressRef.current();
+    const onHidden = () => {
+      if (document.visibilityState === 'hidden') save();
+    };
+    window.addEventListener('pagehide', save);
+    document.addEventListener('visibilitychange', onHidden);
+    return () => {
+      window.removeEventListener('pagehide', save);
+      document.removeEventListener('visibilitychange', onHidden);
+      save();
+    };
+  }, []);
+
   // Render the canvas
   const render = useCallback(() => {
     const canvas = canvasRef.current;
@@ -134,67 +549,328 @@ export default function PuzzleCanvas({
       ctx.stroke();
     }
 
+    // Everything else is drawn in board coordinates, through the zoom/pan view
+    const view = viewRef.current;
+    ctx.setTransform(dpr * view.zoom, 0, 0, dpr * view.zoom, dpr * view.x, dpr * view.y);
+
     const leafOrigin = leafOriginRef.current;
     const scale = scaleRef.current;
 
-    // Ghost outline
-    if (showGhost) {
-      drawLeaf(ctx, species, leafOrigin.x, leafOrigin.y, scale, autumn, 0.1);
+    // Aiming from the keyboard, before the shatter or while hunting gaps
+    const aim = keyboardFocus && (stage === 'shatter' || (stage === 'identify' && !isVictory));
+    const aimAt = () => {
+      const cursor = cursorRef.current ?? polygonCentroid(outlineRef.current);
+      drawCursor(ctx, { x: leafOrigin.x + cursor.x * scale, y: leafOrigin.y + cursor.y * scale }, view.zoom);
+    };
+
+    // Awaiting the shatter tap: show the intact leaf
+    if (stage === 'shatter') {
+      drawLeaf(ctx, species, leafOrigin.x, leafOrigin.y, scale, autumn);
+      if (aim) aimAt();
+      return;
     }
 
-    // Draw placed fragments first (lower z), then unplaced
+    const now = performance.now();
+    // A running hint highlight: pulsing, or held steady with motion off
+    const hintGlow = (key) => {
+      const glow = tweenValue(tweensRef.current, key, now);
+      return glow === undefined ? 0 : reducedMotion ? 1 : glow;
+    };
+
+    // Ghost outline (flashed brighter by a hint)
+    const ghostAlpha = (showGhost ? 0.1 : 0) + hintGlow(tweenKey('ghost', 'hint')) * 0.3;
+    if (ghostAlpha > 0) {
+      drawLeaf(ctx, species, leafOrigin.x, leafOrigin.y, scale, autumn, ghostAlpha);
+    }
+
+    // Hint: pulse the slot the hinted piece belongs in
+    const hinted = fragmentsRef.current.find((f) => f.id === hintTargetRef.current);
+    const slotGlow = hinted ? hintGlow(tweenKey(hinted.id, 'hint')) : 0;
+    if (slotGlow > 0) {
+      ctx.save();
+      traceTarget(ctx, hinted, leafOrigin, scale);
+      ctx.fillStyle = `rgba(232, 196, 90, ${0.15 + 0.35 * slotGlow})`;
+      ctx.fill();
+      ctx.strokeStyle = `rgba(184, 134, 40, ${0.4 + 0.5 * slotGlow})`;
+      ctx.lineWidth = 2.5;
+      ctx.stroke();
+      ctx.restore();
+    }
+
+    // Where each fragment is drawn: its real pose plus any running tweens.
+    // Held pieces rest lifted; idle loose pieces breathe
+    // (Watching a replay, the pieces are the replay's, held as it says)
     const fragments = fragmentsRef.current;
+    const watch = watchingRef.current;
+    const idleFor = now - lastInputRef.current;
+    const breathing = !reducedMotion && stage === 'assemble' && !isVictory && !watch && !draggingRef.current;
+    const held = draggingRef.current && fragments.find((f) => f.id === draggingRef.current.fragmentId);
+    const heldIds = new Set(held ? clusterOf(fragments, held).map((f) => f.id) : watch ? watch.held : []);
+    const shown = new Map();
+    for (const frag of [...fragments, ...missingRef.current]) {
+      const motion = fragmentMotion(tweensRef.current, frag.id, now);
+      let lift = motion.lift;
+      if (lift === undefined) {
+        if (heldIds.has(frag.id)) lift = 1;
+        else if (breathing && !frag.isPlaced) lift = breathLift(frag.id, idleFor, now);
+        else lift = 0;
+      }
+      shown.set(frag.id, { frag: withMotion(frag, motion), lift });
+    }
+    const drawShown = (frag) => {
+      const { frag: posed, lift } = shown.get(frag.id);
+      drawFragment(ctx, posed, species, leafOrigin.x, leafOrigin.y, scale, autumn, lift);
+    };
+    const traceShown = (frag) => {
+      const { frag: posed, lift } = shown.get(frag.id);
+      tracePiece(ctx, posed, scale * (1 + LIFT_SCALE * lift));
+    };
+
+    // Proximity: the piece being moved (by pointer or keyboard) warms its
+    // slot with a gentle green glow as it gets close
+    const moving =
+      held ||
+      (keyboardFocus && !watch && stepStartRef.current && fragments.find((f) => f.id === focusedRef.current));
+    const proximity =
+      showWarmth && moving && !moving.isPlaced
+        ? snapProximity(
+            moving,
+            leafOrigin,
+            SNAP_DISTANCE / viewRef.current.zoom,
+            WARM_DISTANCE / viewRef.current.zoom,
+            SNAP_ANGLE,
+            scale
+          )
+        : null;
+    glowingRef.current = !!proximity && proximity.warmth > 0 && !reducedMotion;
+    if (proximity && proximity.warmth > 0) {
+      const pulse = reducedMotion ? 1 : 0.75 + 0.25 * Math.sin((now / 600) * Math.PI * 2);
+      const strength = proximity.warmth * pulse;
+      ctx.save();
+      for (const f of clusterOf(fragments, moving)) {
+        traceTarget(ctx, f, leafOrigin, scale);
+        ctx.fillStyle = `rgba(90, 160, 94, ${0.05 + 0.2 * strength})`;
+        ctx.fill();
+        ctx.strokeStyle = `rgba(90, 160, 94, ${0.2 + 0.6 * strength})`;
+        ctx.lineWidth = 1.5 + 2 * strength;
+        ctx.stroke();
+      }
+      ctx.restore();
+    }
+
+    // Draw placed fragments first (lower z), then unplaced
     const sorted = [...fragments].sort((a, b) => {
       if (a.isPlaced !== b.isPlaced) return a.isPlaced ? -1 : 1;
       return a.zIndex - b.zIndex;
     });
 
     for (const frag of sorted) {
-      drawFragment(ctx, frag, species, leafOrigin.x, leafOrigin.y, scale, autumn);
+      if (!frag.inTray) drawShown(frag);
     }
 
-    // Highlight dragged fragment
-    if (draggingRef.current != null) {
-      const dragFrag = fragments.find((f) => f.id === draggingRef.current.fragmentId);
-      if (dragFrag) {
+    // Blown-away pieces: identified gaps are outlined; at victory they drift back in
+    for (const frag of missingRef.current) {
+      if (frag.isPlaced) {
+        drawShown(frag);
+      } else if (frag.isIdentified) {
+        ctx.save();
+        traceTarget(ctx, frag, leafOrigin, scale);
+        ctx.fillStyle = 'rgba(90, 138, 94, 0.12)';
+        ctx.fill();
+        ctx.setLineDash([6, 4]);
+        ctx.strokeStyle = 'rgba(90, 138, 94, 0.8)';
+        ctx.lineWidth = 2;
+        ctx.stroke();
+        ctx.restore();
+      }
+    }
+
+    // Highlight dragged fragment (and anything joined to it)
+    if (held) {
+      for (const dragFrag of clusterOf(fragments, held)) {
         // Draw a subtle highlight around the dragged piece
         ctx.save();
-        ctx.translate(dragFrag.currentPosition.x, dragFrag.currentPosition.y);
-        ctx.rotate(dragFrag.rotation);
-        ctx.beginPath();
-        dragFrag.polygon.forEach((v, i) => {
-          const x = (v.x - dragFrag.centroid.x) * scale;
-          const y = (v.y - dragFrag.centroid.y) * scale;
-          if (i === 0) ctx.moveTo(x, y);
-          else ctx.lineTo(x, y);
-        });
-        ctx.closePath();
+        traceShown(dragFrag);
         ctx.strokeStyle = 'rgba(184, 92, 56, 0.5)';
         ctx.lineWidth = 2;
         ctx.stroke();
         ctx.restore();
       }
     }
-  }, [species, autumn, showGhost]);
+
+    // Right spot, wrong way round: an amber outline and a turn arrow
+    if (proximity && proximity.inPosition && !proximity.angleOk) {
+      const posed = shown.get(moving.id).frag;
+      ctx.save();
+      for (const f of clusterOf(fragments, moving)) {
+        traceShown(f);
+        ctx.setLineDash([5, 4]);
+        ctx.strokeStyle = 'rgba(214, 150, 40, 0.95)';
+        ctx.lineWidth = 2.5;
+        ctx.stroke();
+      }
+      ctx.setLineDash([]);
+      ctx.font = `bold ${Math.round(28 / viewRef.current.zoom)}px sans-serif`;
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'middle';
+      ctx.lineWidth = 4 / viewRef.current.zoom;
+      ctx.strokeStyle = 'rgba(255, 255, 255, 0.9)';
+      ctx.strokeText('↻', posed.currentPosition.x, posed.currentPosition.y);
+      ctx.fillStyle = 'rgba(184, 110, 20, 0.95)';
+      ctx.fillText('↻', posed.currentPosition.x, posed.currentPosition.y);
+      ctx.restore();
+    }
+
+    // Hint: the piece whose slot is pulsing pulses too
+    if (slotGlow > 0 && !hinted.isPlaced) {
+      for (const f of clusterOf(fragments, hinted)) {
+        ctx.save();
+        traceShown(f);
+        ctx.strokeStyle = `rgba(184, 134, 40, ${0.4 + 0.5 * slotGlow})`;
+        ctx.lineWidth = 3;
+        ctx.stroke();
+        ctx.restore();
+      }
+    }
+
+    // Keyboard focus ring around the focused piece (and anything joined to it)
+    const focused =
+      keyboardFocus &&
+      !watch &&
+      fragments.find((f) => f.id === focusedRef.current && !f.isPlaced && !f.inTray);
+    for (const f of focused ? clusterOf(fragments, focused) : []) {
+      ctx.save();
+      traceShown(f);
+      ctx.strokeStyle = 'rgba(255, 255, 255, 0.9)';
+      ctx.lineWidth = 5;
+      ctx.stroke();
+      ctx.setLineDash([6, 4]);
+      ctx.strokeStyle = '#b85c38';
+      ctx.lineWidth = 3;
+      ctx.stroke();
+      ctx.restore();
+    }
+    if (aim) aimAt();
+  }, [species, autumn, showGhost, showWarmth, stage, keyboardFocus, reducedMotion, isVictory]);
+
+  // Clock the time the guide is off, for the score's bonus
+  useEffect(() => {
+    const off = guideOffRef.current;
+    if (!showGhost && off.since == null) off.since = Date.now();
+    if (showGhost && off.since != null) {
+      off.ms += Date.now() - off.since;
+      off.since = null;
+    }
+  }, [showGhost]);
 
   // Re-render when showGhost changes
   useEffect(() => {
     render();
   }, [render]);
 
-  // Get canvas-relative coordinates from event
-  const getCanvasPos = useCallback((e) => {
+  // Window resized or rotated: re-fit the canvas and carry the puzzle over.
+  // Every position (and every undo step) is rescaled about the leaf, so
+  // placed pieces stay in their slots, loose ones keep their spread and the
+  // timer keeps running; anything left off-screen is nudged back into view
+  const relayout = useCallback(() => {
+    const container = containerRef.current;
+    const canvas = canvasRef.current;
+    if (!container || !canvas) return;
+
+    const oldOrigin = leafOriginRef.current;
+    const oldScale = scaleRef.current;
+    const oldSize = canvasSizeRef.current;
+    const layout = layoutCanvas(container, canvas);
+    if (layout.width === 0 || layout.height === 0) return;
+    canvasSizeRef.current = { width: layout.width, height: layout.height };
+    scaleRef.current = layout.scale;
+    leafOriginRef.current = layout.leafOrigin;
+
+    const k = layout.scale / oldScale;
+    const project = (p) => ({
+      x: layout.leafOrigin.x + (p.x - oldOrigin.x) * k,
+      y: layout.leafOrigin.y + (p.y - oldOrigin.y) * k,
+    });
+    const putAside = watchingRef.current?.board;
+    for (const frag of [
+      ...fragmentsRef.current,
+      ...missingRef.current,
+      ...(putAside ? [...putAside.fragments, ...putAside.missing] : []),
+    ]) {
+      frag.currentPosition = project(frag.currentPosition);
+    }
+    projectHistory(historyRef.current, project);
+    if (stepStartRef.current) stepStartRef.current = projectPoses(stepStartRef.current, project);
+    if (draggingRef.current) {
+      draggingRef.current.offsetX *= k;
+      draggingRef.current.offsetY *= k;
+    }
+    clearTweens(tweensRef.current);
+
+    // Same zoom, centred on whatever was in the middle of the screen before
+    const view = viewRef.current;
+    const middle = project(screenToBoard(view, { x: oldSize.width / 2, y: oldSize.height / 2 }));
+    viewRef.current = {
+      zoom: view.zoom,
+      x: layout.width / 2 - middle.x * view.zoom,
+      y: layout.height / 2 - middle.y * view.zoom,
+    };
+
+    const topLeft = screenToBoard(viewRef.current, { x: 0, y: 0 });
+    const bottomRight = screenToBoard(viewRef.current, { x: layout.width, y: layout.height });
+    keepInView(
+      fragmentsRef.current,
+      layout.scale,
+      { minX: topLeft.x, minY: topLeft.y, maxX: bottomRight.x, maxY: bottomRight.y },
+      8 / viewRef.current.zoom
+    );
+    render();
+  }, [render]);
+
+  useEffect(() => {
+    window.addEventListener('resize', relayout);
+    return () => window.removeEventListener('resize', relayout);
+  }, [relayout]);
+
+  // Record what just happened to some pieces in this solve's replay. A
+  // move given no pieces records whichever have moved since the replay
+  // last saw them (after an undo, a hint or a board tool)
+  const logReplay = useCallback((type, pieces) => {
+    const replay = replayRef.current;
+    if (!replay || watchingRef.current) return;
+    const t = startTimeRef.current ? Date.now() - startTimeRef.current : replay.duration;
+    if (pieces) logEvent(replay, t, type, pieces, leafOriginRef.current, scaleRef.current);
+    else logChanges(replay, t, fragmentsRef.current, leafOriginRef.current, scaleRef.current);
+  }, []);
+
+  // Mirror which pieces are in the tray into state, for the tray strip
+  const syncTray = useCallback(() => {
+    setTrayGroups(looseGroups(fragmentsRef.current, true));
+  }, []);
+
+  // Mirror the history's depth into state, for the HUD buttons
+  const syncHistory = useCallback(() => {
+    const { past, future } = historyRef.current;
+    setHistorySize({ undo: past.length, redo: future.length });
+  }, []);
+
+  // Get canvas-relative (screen) coordinates from a pointer event
+  const getScreenPos = useCallback((e) => {
     const canvas = canvasRef.current;
     if (!canvas) return { x: 0, y: 0 };
     const rect = canvas.getBoundingClientRect();
-    const clientX = e.touches ? e.touches[0].clientX : e.clientX;
-    const clientY = e.touches ? e.touches[0].clientY : e.clientY;
     return {
-      x: clientX - rect.left,
-      y: clientY - rect.top,
+      x: e.clientX - rect.left,
+      y: e.clientY - rect.top,
     };
   }, []);
 
+  // Get board coordinates from a pointer event, through the zoom/pan view
+  const getCanvasPos = useCallback(
+    (e) => screenToBoard(viewRef.current, getScreenPos(e)),
+    [getScreenPos]
+  );
+
   // Find topmost unplaced fragment at a point
   const findFragment = useCallback(
     (pos) => {
@@ -203,7 +879,7 @@ export default function PuzzleCanvas({
 
       // Check in reverse z-order (topmost first)
       const sorted = [...fragments]
-        .filter((f) => !f.isPlaced)
+        .filter((f) => !f.isPlaced && !f.inTray)
         .sort((a, b) => b.zIndex - a.zIndex);
 
       for (const frag of sorted) {
@@ -231,114 +907,739 @@ export default function PuzzleCanvas({
     []
   );
 
+  // The puzzle is done: hand the time and what it took to App
+  const finish = useCallback(
+    (time) => {
+      if (replayRef.current) endReplay(replayRef.current, time * 1000);
+      onVictory(time, {
+        rotations: Math.round(turnedRef.current / rotateStep),
+        hints: hintsUsedRef.current,
+        moves: movesRef.current,
+        guideOffShare: guideOffMs(guideOffRef.current) / (Math.max(time, 1) * 1000),
+        pieces: fragmentsRef.current.length + missingRef.current.length,
+      });
+    },
+    [onVictory, rotateStep]
+  );
+
+  // Identify-the-gap tap: does this point fall inside a blown-away piece's
+  // target area? Returns the gap found, if any
+  const identifyGap = useCallback(
+    (pos) => {
+      const leafOrigin = leafOriginRef.current;
+      const scale = scaleRef.current;
+      const local = {
+        x: (pos.x - leafOrigin.x) / scale,
+        y: (pos.y - leafOrigin.y) / scale,
+      };
+      const missing = missingRef.current;
+      const gap = missing.find((f) => !f.isIdentified && pointInPolygon(local, f.polygon));
+
+      if (!gap) {
+        setMissedTap(true);
+        return null;
+      }
+
+      gap.isIdentified = true;
+      const found = missing.filter((f) => f.isIdentified).length;
+      setGapsFound(found);
+      setMissedTap(false);
+      render();
+
+      if (found === missing.length) {
+        finish(assemblyTimeRef.current);
+      }
+      return gap;
+    },
+    [render, finish]
+  );
+
+  // Rotate a fragment's whole cluster around that fragment (counted towards
+  // the rotations stat, unless it's a hint's doing)
+  const rotateHeld = useCallback((frag, angle, byPlayer = true) => {
+    const members = clusterOf(fragmentsRef.current, frag);
+    rotateCluster(members, angle, { ...frag.currentPosition });
+    if (byPlayer) turnedRef.current += Math.abs(angle);
+    logReplay('rotate', members);
+  }, [logReplay]);
+
+  const cancelLongPress = useCallback(() => {
+    if (longPressRef.current) clearTimeout(longPressRef.current.timer);
+    longPressRef.current = null;
+  }, []);
+
+  // Start a two-finger gesture: twist the held piece, or pinch the board
+  const startGesture = useCallback(() => {
+    const [a, b] = [...pointersRef.current.values()];
+    cancelLongPress();
+    panRef.current = null;
+    gestureRef.current = draggingRef.current
+      ? { type: 'twist', angle: Math.atan2(b.y - a.y, b.x - a.x), total: 0, applied: 0 }
+      : {
+          type: 'pinch',
+          distance: Math.max(dist(a, b), 1),
+          mid: { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 },
+          view: viewRef.current,
+        };
+  }, [cancelLongPress]);
+
+  // Pick a cluster up off the bench (or set it down), easing its lift
+  const liftCluster = useCallback(
+    (members, up) => {
+      if (reducedMotion) return;
+      const now = performance.now();
+      for (const f of members) {
+        const key = tweenKey(f.id, 'lift');
+        const from = tweenValue(tweensRef.current, key, now) ?? (up ? 0 : 1);
+        startTween(tweensRef.current, key, liftTween(from, up ? 1 : 0), now);
+      }
+    },
+    [reducedMotion]
+  );
+
   // Pointer down
   const handlePointerDown = useCallback(
     (e) => {
-      if (isVictory) return;
+      if (isVictory || watchingRef.current) return;
+      if (e.pointerType === 'mouse' && e.button !== 0) return;
       e.preventDefault();
+      e.currentTarget.setPointerCapture?.(e.pointerId);
+      pointersRef.current.set(e.pointerId, getScreenPos(e));
+
+      if (pointersRef.current.size === 2) {
+        if (stage === 'assemble') startGesture();
+        return;
+      }
+      if (pointersRef.current.size > 2) return;
+
       const pos = getCanvasPos(e);
+      if (stage === 'identify') {
+        identifyGap(pos);
+        return;
+      }
+      if (stage === 'shatter') {
+        // Tap on the leaf: shatter it from there (in leaf-local coordinates)
+        const leafOrigin = leafOriginRef.current;
+        const scale = scaleRef.current;
+        const local = {
+          x: Math.round((pos.x - leafOrigin.x) / scale),
+          y: Math.round((pos.y - leafOrigin.y) / scale),
+        };
+        if (pointInPolygon(local, outlineRef.current)) onShatter(local);
+        return;
+      }
       const frag = findFragment(pos);
       if (frag) {
-        // Bring to top
+        stepStartRef.current = snapshotPoses(fragmentsRef.current);
+        focusedRef.current = frag.id;
+
+        // Bring to top, keeping joined pieces in their existing order
         const maxZ = Math.max(...fragmentsRef.current.map((f) => f.zIndex));
-        frag.zIndex = maxZ + 1;
+        clusterOf(fragmentsRef.current, frag)
+          .sort((a, b) => a.zIndex - b.zIndex)
+          .forEach((f, i) => {
+            f.zIndex = maxZ + 1 + i;
+          });
 
         draggingRef.current = {
           fragmentId: frag.id,
+          pointerId: e.pointerId,
           offsetX: pos.x - frag.currentPosition.x,
           offsetY: pos.y - frag.currentPosition.y,
         };
+        liftCluster(clusterOf(fragmentsRef.current, frag), true);
+        logReplay('pickup', clusterOf(fragmentsRef.current, frag));
+
+        // Touch and pen: holding a piece still turns it a step
+        if (e.pointerType !== 'mouse') {
+          const start = getScreenPos(e);
+          const timer = setTimeout(() => {
+            if (draggingRef.current?.fragmentId !== frag.id) return;
+            rotateHeld(frag, rotateStep);
+            navigator.vibrate?.(10);
+            longPressRef.current = null;
+            render();
+          }, LONG_PRESS_MS);
+          longPressRef.current = { timer, start };
+        }
         render();
+      } else if (stage === 'assemble') {
+        // Empty board: drag to pan
+        panRef.current = { pointerId: e.pointerId, last: getScreenPos(e) };
       }
     },
-    [getCanvasPos, findFragment, render, isVictory]
+    [getScreenPos, getCanvasPos, findFragment, render, isVictory, stage, identifyGap, onShatter,
+      startGesture, rotateHeld, rotateStep, liftCluster, logReplay]
   );
 
+  // Whether a pointer event is over the piece tray
+  const overTray = useCallback((e) => {
+    const rect = trayRef.current?.getBoundingClientRect();
+    return (
+      !!rect &&
+      e.clientX >= rect.left &&
+      e.clientX <= rect.right &&
+      e.clientY >= rect.top &&
+      e.clientY <= rect.bottom
+    );
+  }, []);
+
   // Pointer move
   const handlePointerMove = useCallback(
     (e) => {
-      if (!draggingRef.current) return;
+      if (!pointersRef.current.has(e.pointerId)) return;
       e.preventDefault();
+      pointersRef.current.set(e.pointerId, getScreenPos(e));
+      const gesture = gestureRef.current;
+
+      if (gesture && pointersRef.current.size === 2) {
+        const [a, b] = [...pointersRef.current.values()];
+        if (gesture.type === 'pinch') {
+          // Zoom about the pinch's starting midpoint, and follow it as it moves
+          const mid = { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+          const zoomed = zoomAt(gesture.view, gesture.mid, dist(a, b) / gesture.distance);
+          viewRef.current = panBy(zoomed, mid.x - gesture.mid.x, mid.y - gesture.mid.y);
+          render();
+          return;
+        }
+
+        // Twist: the held piece turns with the fingers (in whole steps for quarter turns)
+        const angle = Math.atan2(b.y - a.y, b.x - a.x);
+        gesture.total += normalizeAngle(angle - gesture.angle);
+        gesture.angle = angle;
+        const target =
+          settings.rotationMode === 'free'
+            ? gesture.total
+            : Math.round(gesture.total / rotateStep) * rotateStep;
+        const frag = fragmentsRef.current.find((f) => f.id === draggingRef.current?.fragmentId);
+        if (frag && target !== gesture.applied) {
+          rotateHeld(frag, target - gesture.applied);
+          gesture.applied = target;
+          render();
+        }
+      }
+
+      const pan = panRef.current;
+      if (pan && pan.pointerId === e.pointerId) {
+        const now = getScreenPos(e);
+        viewRef.current = panBy(viewRef.current, now.x - pan.last.x, now.y - pan.last.y);
+        pan.last = now;
+        render();
+        return;
+      }
+
+      if (!draggingRef.current || draggingRef.current.pointerId !== e.pointerId) return;
+      if (draggingRef.current.tapFromTray && !overTray(e)) draggingRef.current.tapFromTray = false;
+      const press = longPressRef.current;
+      if (press && dist(press.start, getScreenPos(e)) > LONG_PRESS_SLOP) cancelLongPress();
+
       const pos = getCanvasPos(e);
       const frag = fragmentsRef.current.find(
         (f) => f.id === draggingRef.current.fragmentId
       );
       if (frag) {
-        frag.currentPosition = {
-          x: pos.x - draggingRef.current.offsetX,
-          y: pos.y - draggingRef.current.offsetY,
-        };
+        const members = clusterOf(fragmentsRef.current, frag);
+        moveCluster(
+          members,
+          pos.x - draggingRef.current.offsetX - frag.currentPosition.x,
+          pos.y - draggingRef.current.offsetY - frag.currentPosition.y
+        );
+        logReplay('move', members);
         render();
       }
     },
-    [getCanvasPos, render]
+    [getScreenPos, getCanvasPos, render, rotateHeld, rotateStep, cancelLongPress, settings.rotationMode, overTray,
+      logReplay]
+  );
+
+  // Count placed pieces and check for victory — blown-away pieces don't count towards it
+  const checkPlaced = useCallback(() => {
+    const fragments = fragmentsRef.current;
+    const newPlaced = fragments.filter((f) => f.isPlaced).length;
+    setPlacedCount(newPlaced);
+
+    if (newPlaced === fragments.length) {
+      if (timerRef.current) clearInterval(timerRef.current);
+      const time = Math.floor((Date.now() - startTimeRef.current) / 1000);
+      if (missingRef.current.length > 0) {
+        // Assembled! Now find where the blown-away pieces belong
+        assemblyTimeRef.current = time;
+        setStage('identify');
+      } else {
+        finish(time);
+      }
+    }
+  }, [finish]);
+
+  // Drop a fragment's cluster where it is: snap it into the leaf, or join it
+  // to a correct neighbour. Ends the current undo step and checks for victory.
+  const dropCluster = useCallback(
+    (frag) => {
+      const fragments = fragmentsRef.current;
+      const leafOrigin = leafOriginRef.current;
+      const scale = scaleRef.current;
+      // Snap tolerance is in screen pixels, so it feels the same at any zoom
+      const snapDistance = SNAP_DISTANCE / viewRef.current.zoom;
+      let members = clusterOf(fragments, frag);
+      let result = 'dropped';
+      const before = new Map(
+        members.map((f) => [f.id, { currentPosition: { ...f.currentPosition }, rotation: f.rotation }])
+      );
+      logReplay('drop', members);
+
+      if (checkSnap(frag, leafOrigin, snapDistance, SNAP_ANGLE, scale)) {
+        // Snap! The whole cluster drops into the leaf together
+        members.forEach((f) => snapFragment(f, leafOrigin, scale));
+        result = 'placed';
+      } else {
+        // Otherwise try joining a correct neighbour, wherever it is on the board
+        let join = findJoin(fragments, members, scale, snapDistance, SNAP_ANGLE);
+        while (join && !members[0].isPlaced) {
+          members = joinClusters(fragments, members, join.anchor, scale);
+          join = findJoin(fragments, members, scale, snapDistance, SNAP_ANGLE);
+          result = frag.isPlaced ? 'placed' : 'joined';
+        }
+      }
+
+      if (result !== 'dropped') logReplay('snap', members);
+
+      // Ease the moved pieces into the slot (or alongside the piece they joined)
+      if (result !== 'dropped' && !reducedMotion) {
+        const now = performance.now();
+        for (const f of members) {
+          const from = before.get(f.id);
+          if (from) startTween(tweensRef.current, tweenKey(f.id, 'pose'), poseTween(from, f), now);
+        }
+      }
+
+      if (stepStartRef.current) {
+        if (recordStep(historyRef.current, stepStartRef.current, fragments)) movesRef.current += 1;
+        stepStartRef.current = null;
+        syncHistory();
+      }
+
+      if (frag.isPlaced) {
+        // Progress of their own: the next hint starts gently again
+        hintLevelRef.current = 0;
+        checkPlaced();
+      }
+      return result;
+    },
+    [checkPlaced, syncHistory, reducedMotion, logReplay]
+  );
+
+  // Keyboard moves build up one undo step until the piece is dropped or
+  // focus moves on; this closes that step off
+  const commitKeyboardStep = useCallback(() => {
+    if (!stepStartRef.current || draggingRef.current) return;
+    if (recordStep(historyRef.current, stepStartRef.current, fragmentsRef.current)) movesRef.current += 1;
+    stepStartRef.current = null;
+    syncHistory();
+  }, [syncHistory]);
+
+  // Find room on screen for groups of loose pieces, clear of the leaf's spot
+  // and of the `others` staying where they are. With no tray, what doesn't
+  // fit spills out around the screen; with one, it goes in the tray.
+  // `options` go to packGroups (an rng scatters, a gap spaces them out)
+  const packOntoBoard = useCallback(
+    (groups, others, options = {}) => {
+      const scale = scaleRef.current;
+      const leafOrigin = leafOriginRef.current;
+      const view = viewRef.current;
+      const { width, height } = canvasSizeRef.current;
+      const margin = 10 / view.zoom;
+      const topLeft = screenToBoard(view, { x: 0, y: 0 });
+      const bottomRight = screenToBoard(view, { x: width, y: height });
+      const area = {
+        minX: topLeft.x + margin,
+        minY: topLeft.y + margin,
+        maxX: bottomRight.x - margin,
+        maxY: bottomRight.y - margin,
+      };
+      const leaf = polygonBounds(outlineRef.current);
+      const obstacles = [
+        {
+          minX: leafOrigin.x + leaf.minX * scale,
+          minY: leafOrigin.y + leaf.minY * scale,
+          maxX: leafOrigin.x + leaf.maxX * scale,
+          maxY: leafOrigin.y + leaf.maxY * scale,
+        },
+        ...others.map((members) => clusterBounds(members, scale)),
+      ];
+      const before = new Map(
+        groups.flat().map((f) => [f.id, { currentPosition: { ...f.currentPosition }, rotation: f.rotation }])
+      );
+      const place = ({ moves }) => {
+        for (const { members, dx, dy } of moves) {
+          moveCluster(members, dx, dy);
+          members.forEach((f) => (f.inTray = false));
+          obstacles.push(clusterBounds(members, scale));
+        }
+      };
+
+      const packed = packGroups(groups, scale, area, obstacles, options);
+      place(packed);
+      let { overflow } = packed;
+      if (overflow.length > 0 && trayPosition === 'off') {
+        const w = area.maxX - area.minX;
+        const h = area.maxY - area.minY;
+        const around = { minX: area.minX - w / 2, minY: area.minY - h / 2, maxX: area.maxX + w / 2, maxY: area.maxY + h / 2 };
+        const spilled = packGroups(overflow, scale, around, obstacles, options);
+        place(spilled);
+        overflow = spilled.overflow;
+      }
+      if (trayPosition !== 'off') overflow.flat().forEach((f) => (f.inTray = true));
+
+      if (!reducedMotion) {
+        const now = performance.now();
+        for (const f of groups.flat()) {
+          if (!f.inTray) startTween(tweensRef.current, tweenKey(f.id, 'pose'), poseTween(before.get(f.id), f), now);
+        }
+      }
+    },
+    [trayPosition, reducedMotion]
+  );
+
+  // Bring a group out of the tray onto a free spot on screen (or the
+  // middle of the screen, if there's no room), on top and focused
+  const takeFromTray = useCallback(
+    (members) => {
+      const fragments = fragmentsRef.current;
+      packOntoBoard(
+        [members],
+        looseGroups(fragments).filter((g) => g[0].clusterId !== members[0].clusterId)
+      );
+      if (members[0].inTray) {
+        const { width, height } = canvasSizeRef.current;
+        const middle = screenToBoard(viewRef.current, { x: width / 2, y: height / 2 });
+        moveCluster(members, middle.x - members[0].currentPosition.x, middle.y - members[0].currentPosition.y);
+        members.forEach((f) => (f.inTray = false));
+      }
+      const maxZ = Math.max(...fragments.map((f) => f.zIndex));
+      members.forEach((f, i) => (f.zIndex = maxZ + 1 + i));
+      focusedRef.current = members[0].id;
+    },
+    [packOntoBoard]
   );
 
-  // Pointer up — check snap
+  // Tray piece tapped with the keyboard: take it out as one undo step
+  const handleTrayTake = useCallback(
+    (members) => {
+      if (isVictory || watchingRef.current || stage !== 'assemble' || draggingRef.current) return;
+      commitKeyboardStep();
+      const before = snapshotPoses(fragmentsRef.current);
+      takeFromTray(members);
+      logReplay('move', members);
+      if (recordStep(historyRef.current, before, fragmentsRef.current)) movesRef.current += 1;
+      syncHistory();
+      syncTray();
+      canvasRef.current?.focus();
+      render();
+    },
+    [isVictory, stage, commitKeyboardStep, takeFromTray, syncHistory, syncTray, render, logReplay]
+  );
+
+  // Pointer down on a tray piece: lift it out under the pointer and carry
+  // on dragging it on the board. Letting go over the tray again without
+  // leaving it counts as a tap, which takes it out onto a free spot
+  const handleTrayGrab = useCallback(
+    (members, e) => {
+      if (isVictory || watchingRef.current || stage !== 'assemble' || draggingRef.current || e.button > 0) return;
+      e.preventDefault();
+      commitKeyboardStep();
+      stepStartRef.current = snapshotPoses(fragmentsRef.current);
+
+      const anchor = members[0];
+      const pos = getCanvasPos(e);
+      moveCluster(members, pos.x - anchor.currentPosition.x, pos.y - anchor.currentPosition.y);
+      members.forEach((f) => (f.inTray = false));
+      const maxZ = Math.max(...fragmentsRef.current.map((f) => f.zIndex));
+      members.forEach((f, i) => (f.zIndex = maxZ + 1 + i));
+      focusedRef.current = anchor.id;
+
+      pointersRef.current.set(e.pointerId, getScreenPos(e));
+      draggingRef.current = {
+        fragmentId: anchor.id,
+        pointerId: e.pointerId,
+        offsetX: 0,
+        offsetY: 0,
+        tapFromTray: true,
+      };
+      try {
+        canvasRef.current.setPointerCapture(e.pointerId);
+      } catch {
+        // The pointer already lifted; the drag ends on the next event
+      }
+      liftCluster(members, true);
+      logReplay('pickup', members);
+      logReplay('move', members);
+      syncTray();
+      render();
+    },
+    [isVictory, stage, commitKeyboardStep, getCanvasPos, getScreenPos, liftCluster, syncTray, render, logReplay]
+  );
+
+  // Pointer up (or cancelled) — drop the held piece and check snap
   const handlePointerUp = useCallback(
     (e) => {
-      if (!draggingRef.current) return;
+      if (!pointersRef.current.delete(e.pointerId)) return;
+      if (pointersRef.current.size < 2) gestureRef.current = null;
+      if (panRef.current?.pointerId === e.pointerId) panRef.current = null;
+      if (!draggingRef.current || draggingRef.current.pointerId !== e.pointerId) return;
       e.preventDefault();
+      cancelLongPress();
 
-      const frag = fragmentsRef.current.find(
-        (f) => f.id === draggingRef.current.fragmentId
-      );
+      const { fragmentId, tapFromTray } = draggingRef.current;
+      const frag = fragmentsRef.current.find((f) => f.id === fragmentId);
       draggingRef.current = null;
-
       if (frag) {
-        const leafOrigin = leafOriginRef.current;
-        const scale = scaleRef.current;
-
-        // Adjust snap check for scale
-        const scaledLeafOrigin = {
-          x: leafOrigin.x,
-          y: leafOrigin.y,
-        };
-
-        // Check snap with scaled positions
-        const targetX = leafOrigin.x + frag.centroid.x * scale;
-        const targetY = leafOrigin.y + frag.centroid.y * scale;
-        const dx = frag.currentPosition.x - targetX;
-        const dy = frag.currentPosition.y - targetY;
-        const distance = Math.sqrt(dx * dx + dy * dy);
-
-        let rot = frag.rotation % (Math.PI * 2);
-        if (rot < 0) rot += Math.PI * 2;
-        const angleOk = rot < SNAP_ANGLE || rot > Math.PI * 2 - SNAP_ANGLE;
-
-        if (distance < SNAP_DISTANCE && angleOk) {
-          // Snap!
-          frag.currentPosition = { x: targetX, y: targetY };
-          frag.rotation = 0;
-          frag.isPlaced = true;
-
-          const newPlaced = fragmentsRef.current.filter((f) => f.isPlaced).length;
-          setPlacedCount(newPlaced);
-
-          // Check victory
-          if (newPlaced === fragmentsRef.current.length) {
-            if (timerRef.current) clearInterval(timerRef.current);
-            const time = Math.floor((Date.now() - startTimeRef.current) / 1000);
-            onVictory(time);
+        const members = clusterOf(fragmentsRef.current, frag);
+        liftCluster(members, false);
+        if (overTray(e)) {
+          // Over the tray: a tap takes the piece out, a drag puts it away
+          if (tapFromTray) takeFromTray(members);
+          else members.forEach((f) => (f.inTray = true));
+          logReplay('drop', members);
+          if (stepStartRef.current) {
+            if (recordStep(historyRef.current, stepStartRef.current, fragmentsRef.current)) movesRef.current += 1;
+            syncHistory();
           }
+          syncTray();
+        } else {
+          dropCluster(frag);
         }
       }
 
+      stepStartRef.current = null;
+      render();
+    },
+    [render, dropCluster, cancelLongPress, liftCluster, overTray, takeFromTray, syncHistory, syncTray, logReplay]
+  );
+
+  // Undo / redo a step. Not mid-drag, and not once the board is complete
+  const handleUndo = useCallback(() => {
+    if (draggingRef.current || isVictory || watchingRef.current || stage !== 'assemble') return;
+    commitKeyboardStep();
+    if (undoStep(historyRef.current, fragmentsRef.current)) {
+      logReplay('move');
+      setPlacedCount(fragmentsRef.current.filter((f) => f.isPlaced).length);
+      syncHistory();
+      syncTray();
+      render();
+    }
+  }, [render, syncHistory, syncTray, commitKeyboardStep, isVictory, stage, logReplay]);
+
+  const handleRedo = useCallback(() => {
+    if (draggingRef.current || isVictory || watchingRef.current || stage !== 'assemble') return;
+    commitKeyboardStep();
+    if (redoStep(historyRef.current, fragmentsRef.current)) {
+      logReplay('move');
+      setPlacedCount(fragmentsRef.current.filter((f) => f.isPlaced).length);
+      syncHistory();
+      syncTray();
+      render();
+    }
+  }, [render, syncHistory, syncTray, commitKeyboardStep, isVictory, stage, logReplay]);
+
+  // Hint: each press gives a little more away about one piece — the held
+  // one, else the focused one, else the loose piece easiest to place
+  const hintsLeft = hintLimit(settings.difficulty) - hintsUsed;
+  const handleHint = useCallback(() => {
+    if (hintsLeft <= 0 || isVictory || watchingRef.current || stage !== 'assemble') return;
+    const fragments = fragmentsRef.current;
+    const preferredId = draggingRef.current?.fragmentId ?? hintTargetRef.current ?? focusedRef.current;
+    const target = hintTarget(fragments, preferredId);
+    if (!target) return;
+
+    const level = nextHintLevel(hintLevelRef.current, target);
+    hintLevelRef.current += 1;
+    hintTargetRef.current = target.id;
+    focusedRef.current = target.id;
+    setHintsUsed((n) => n + 1);
+    hintsUsedRef.current += 1;
+
+    const now = performance.now();
+    const members = clusterOf(fragments, target);
+    const poses = new Map(
+      members.map((f) => [f.id, { currentPosition: { ...f.currentPosition }, rotation: f.rotation }])
+    );
+    const easeIn = () => {
+      if (reducedMotion) return;
+      for (const f of members) {
+        startTween(tweensRef.current, tweenKey(f.id, 'pose'), poseTween(poses.get(f.id), f), now);
+      }
+    };
+
+    if (level === 'ghost') {
+      startTween(tweensRef.current, tweenKey('ghost', 'hint'), pulseTween(), now);
+      setAnnouncement('Hint: look at the guide');
+    } else if (level === 'target') {
+      startTween(tweensRef.current, tweenKey(target.id, 'hint'), pulseTween(), now);
+      setAnnouncement('Hint: this piece belongs in the glowing spot');
+    } else if (level === 'rotate') {
+      // Mid-drag, the turn becomes part of the drag's undo step
+      commitKeyboardStep();
+      const before = stepStartRef.current ?? snapshotPoses(fragments);
+      rotateHeld(target, -normalizeAngle(target.rotation), false);
+      easeIn();
+      if (!draggingRef.current) {
+        recordStep(historyRef.current, before, fragments);
+        syncHistory();
+      }
+      startTween(tweensRef.current, tweenKey(target.id, 'hint'), pulseTween(), now);
+      setAnnouncement('Hint: piece turned the right way up');
+    } else {
+      // Place it, ending any drag of it as one undo step
+      commitKeyboardStep();
+      const before = stepStartRef.current ?? snapshotPoses(fragments);
+      if (draggingRef.current) {
+        liftCluster(clusterOf(fragments, fragments.find((f) => f.id === draggingRef.current.fragmentId)), false);
+        draggingRef.current = null;
+      }
+      stepStartRef.current = null;
+      members.forEach((f) => snapFragment(f, leafOriginRef.current, scaleRef.current));
+      logReplay('snap', members);
+      easeIn();
+      recordStep(historyRef.current, before, fragments);
+      syncHistory();
+      hintLevelRef.current = 0;
+      hintTargetRef.current = null;
+      setAnnouncement('Hint: a piece was placed for you');
+      checkPlaced();
+    }
+    syncTray();
+    render();
+  }, [hintsLeft, isVictory, stage, reducedMotion, rotateHeld, liftCluster, commitKeyboardStep,
+    syncHistory, syncTray, checkPlaced, render, logReplay]);
+
+  // Zoom about the middle of the canvas
+  const zoomBy = useCallback(
+    (factor) => {
+      const { width, height } = canvasSizeRef.current;
+      viewRef.current = zoomAt(viewRef.current, { x: width / 2, y: height / 2 }, factor);
+      render();
+    },
+    [render]
+  );
+
+  // Fit the assembled leaf's footprint to the screen
+  const handleFitLeaf = useCallback(() => {
+    const leafOrigin = leafOriginRef.current;
+    const scale = scaleRef.current;
+    const b = polygonBounds(outlineRef.current);
+    const { width, height } = canvasSizeRef.current;
+    viewRef.current = fitView(
+      {
+        minX: leafOrigin.x + b.minX * scale,
+        minY: leafOrigin.y + b.minY * scale,
+        maxX: leafOrigin.x + b.maxX * scale,
+        maxY: leafOrigin.y + b.maxY * scale,
+      },
+      width,
+      height
+    );
+    render();
+  }, [render]);
+
+  // Fit every piece on the board (and the leaf's spot) to the screen
+  const handleFitPieces = useCallback(() => {
+    const leafOrigin = leafOriginRef.current;
+    const scale = scaleRef.current;
+    const points = fragmentsRef.current.filter((f) => !f.inTray).flatMap((f) => boardOutline(f, scale));
+    points.push(
+      ...outlineRef.current.map((v) => ({ x: leafOrigin.x + v.x * scale, y: leafOrigin.y + v.y * scale }))
+    );
+    if (points.length === 0) return;
+    const { width, height } = canvasSizeRef.current;
+    viewRef.current = fitView(polygonBounds(points), width, height);
+    render();
+  }, [render]);
+
+  // Rearrange the loose pieces on the board (and maybe the tray) as one
+  // undo step; `arrange` moves them, given them in their joined groups
+  const rearrange = useCallback(
+    (arrange) => {
+      if (isVictory || watchingRef.current || stage !== 'assemble' || draggingRef.current) return;
+      commitKeyboardStep();
+      const before = snapshotPoses(fragmentsRef.current);
+      arrange(looseGroups(fragmentsRef.current));
+      logReplay('move');
+      recordStep(historyRef.current, before, fragmentsRef.current);
+      syncHistory();
+      syncTray();
       render();
     },
-    [render, onVictory]
+    [isVictory, stage, commitKeyboardStep, syncHistory, syncTray, render, logReplay]
+  );
+
+  // Tidy up: lay the pieces out in rows, clear of the leaf and each other
+  const handleTidy = useCallback(() => {
+    rearrange((groups) => packOntoBoard(groups, []));
+  }, [rearrange, packOntoBoard]);
+
+  // Gather edge (or interior) pieces together in the first rows of the
+  // screen, with the rest laid out after them. A joined group counts as an
+  // edge piece if any of it is
+  const handleGather = useCallback(
+    (edges) => {
+      rearrange((groups) => {
+        const wanted = groups.filter((g) => g.some((f) => f.isEdge) === edges);
+        packOntoBoard(wanted, []);
+        packOntoBoard(
+          groups.filter((g) => !wanted.includes(g)),
+          wanted.filter((g) => !g[0].inTray)
+        );
+      });
+    },
+    [rearrange, packOntoBoard]
   );
 
-  // Keyboard: R to rotate, G to toggle ghost
+  // Spread out: scatter the pieces across the screen, well apart
+  const handleSpread = useCallback(() => {
+    rearrange((groups) =>
+      packOntoBoard(groups, [], { rng: Math.random, gap: SPREAD_GAP / viewRef.current.zoom })
+    );
+  }, [rearrange, packOntoBoard]);
+
+  // The tray was moved or put away: the board has a new size, and with no
+  // tray any pieces left in it come back out onto the board
+  useEffect(() => {
+    if (lastTrayRef.current === trayPosition) return;
+    lastTrayRef.current = trayPosition;
+    relayout();
+    if (trayPosition === 'off') {
+      const fragments = fragmentsRef.current;
+      const stored = looseGroups(fragments, true);
+      if (stored.length > 0) {
+        packOntoBoard(stored, looseGroups(fragments));
+        logReplay('move');
+        syncTray();
+        render();
+      }
+    }
+  }, [trayPosition, relayout, packOntoBoard, syncTray, render, logReplay]);
+
+  // Keyboard: R to rotate (Shift+R anticlockwise), G to toggle ghost, F to
+  // toggle the proximity glow, H for a hint, +/- to zoom, Ctrl+Z / Ctrl+Shift+Z (or Ctrl+Y) to undo and redo
   useEffect(() => {
     const handleKeyDown = (e) => {
+      if (watchingRef.current) return;
+      if (e.ctrlKey || e.metaKey) {
+        const key = e.key.toLowerCase();
+        if (key === 'z' || key === 'y') {
+          e.preventDefault();
+          if (key === 'y' || e.shiftKey) handleRedo();
+          else handleUndo();
+        }
+        return;
+      }
       if (e.key === 'r' || e.key === 'R') {
         if (draggingRef.current) {
           const frag = fragmentsRef.current.find(
             (f) => f.id === draggingRef.current.fragmentId
           );
           if (frag) {
-            frag.rotation += ROTATE_STEP;
+            rotateHeld(frag, e.shiftKey ? -rotateStep : rotateStep);
             render();
           }
         }
@@ -346,10 +1647,124 @@ export default function PuzzleCanvas({
       if (e.key === 'g' || e.key === 'G') {
         setShowGhost((prev) => !prev);
       }
+      if (e.key === 'f' || e.key === 'F') setShowWarmth((prev) => !prev);
+      if (e.key === 'h' || e.key === 'H') handleHint();
+      if (e.key === '+' || e.key === '=') zoomBy(ZOOM_STEP);
+      if (e.key === '-' || e.key === '_') zoomBy(1 / ZOOM_STEP);
+      if (import.meta.env.DEV && (e.key === 'd' || e.key === 'D')) {
+        setShowTilingReport((prev) => !prev);
+      }
     };
     window.addEventListener('keydown', handleKeyDown);
     return () => window.removeEventListener('keydown', handleKeyDown);
-  }, [render]);
+  }, [render, rotateStep, rotateHeld, handleUndo, handleRedo, handleHint, zoomBy]);
+
+  // Keyboard play on the focused canvas: Tab through unplaced pieces, arrows
+  // to move (Shift for bigger steps), R to rotate, Enter to drop, Esc to
+  // put the piece back where the keyboard move started. Before the shatter
+  // and while hunting gaps, arrows move a cursor over the leaf instead and
+  // Enter taps there
+  const handleCanvasKeyDown = useCallback(
+    (e) => {
+      if (draggingRef.current || isVictory || watchingRef.current) return;
+      if (stage === 'shatter' || stage === 'identify') {
+        const outline = outlineRef.current;
+        const cursor = cursorRef.current ?? polygonCentroid(outline);
+        const direction = ARROW_DIRECTIONS[e.key];
+        if (direction) {
+          e.preventDefault();
+          const step = (e.shiftKey ? KEY_STEP_COARSE : KEY_STEP) / (scaleRef.current * viewRef.current.zoom);
+          const next = { x: cursor.x + direction.x * step, y: cursor.y + direction.y * step };
+          // The cursor stays on the leaf
+          cursorRef.current = pointInPolygon(next, outline) ? next : cursor;
+          render();
+        } else if (e.key === 'Enter' || e.key === ' ') {
+          e.preventDefault();
+          if (stage === 'shatter') {
+            onShatter({ x: Math.round(cursor.x), y: Math.round(cursor.y) });
+            return;
+          }
+          const leafOrigin = leafOriginRef.current;
+          const scale = scaleRef.current;
+          const gap = identifyGap({ x: leafOrigin.x + cursor.x * scale, y: leafOrigin.y + cursor.y * scale });
+          setAnnouncement(gap ? 'Found a gap!' : 'Not there — keep looking.');
+        }
+        return;
+      }
+      if (stage !== 'assemble') return;
+      const fragments = fragmentsRef.current;
+      const focused = fragments.find((f) => f.id === focusedRef.current && !f.isPlaced && !f.inTray);
+
+      const focusPiece = (frag) => {
+        focusedRef.current = frag.id;
+        // Bring to top so the focused piece is never hidden under another
+        const maxZ = Math.max(...fragments.map((f) => f.zIndex));
+        clusterOf(fragments, frag)
+          .sort((a, b) => a.zIndex - b.zIndex)
+          .forEach((f, i) => {
+            f.zIndex = maxZ + 1 + i;
+          });
+        const order = tabOrder(fragments);
+        const position = order.findIndex((f) => f.clusterId === frag.clusterId) + 1;
+        setAnnouncement(
+          `Piece ${position} of ${order.length}. Arrows move, R rotates, Enter drops.`
+        );
+        render();
+      };
+
+      if (e.key === 'Tab') {
+        const order = tabOrder(fragments);
+        const index = focused ? order.findIndex((f) => f.clusterId === focused.clusterId) : -1;
+        const next = index < 0 ? (e.shiftKey ? order.length - 1 : 0) : index + (e.shiftKey ? -1 : 1);
+        commitKeyboardStep();
+        if (next < 0 || next >= order.length) {
+          // Past the last piece: let Tab carry on to the rest of the page
+          focusedRef.current = null;
+          render();
+          return;
+        }
+        e.preventDefault();
+        focusPiece(order[next]);
+        return;
+      }
+
+      if (!focused) return;
+      const direction = ARROW_DIRECTIONS[e.key];
+      if (direction) {
+        e.preventDefault();
+        if (!stepStartRef.current) stepStartRef.current = snapshotPoses(fragments);
+        const step = e.shiftKey ? KEY_STEP_COARSE : KEY_STEP;
+        const members = clusterOf(fragments, focused);
+        moveCluster(members, direction.x * step, direction.y * step);
+        logReplay('move', members);
+        render();
+      } else if (e.key === 'r' || e.key === 'R') {
+        if (!stepStartRef.current) stepStartRef.current = snapshotPoses(fragments);
+        rotateHeld(focused, e.shiftKey ? -rotateStep : rotateStep);
+        render();
+      } else if (e.key === 'Enter' || e.key === ' ') {
+        e.preventDefault();
+        const result = dropCluster(focused);
+        if (result === 'placed') {
+          const placed = fragments.filter((f) => f.isPlaced).length;
+          const [next] = tabOrder(fragments);
+          if (next) focusPiece(next);
+          setAnnouncement(`Placed! ${placed} of ${fragments.length} pieces in the leaf.`);
+        } else {
+          setAnnouncement(result === 'joined' ? 'Joined to a neighbour.' : 'Not quite — dropped here.');
+        }
+        render();
+      } else if (e.key === 'Escape' && stepStartRef.current) {
+        restorePoses(fragments, stepStartRef.current);
+        logReplay('move');
+        stepStartRef.current = null;
+        setAnnouncement('Moved back.');
+        render();
+      }
+    },
+    [render, rotateHeld, rotateStep, dropCluster, commitKeyboardStep, isVictory, stage, logReplay, onShatter,
+      identifyGap]
+  );
 
   // Scroll wheel to rotate selected piece
   useEffect(() => {
@@ -357,37 +1772,246 @@ export default function PuzzleCanvas({
     if (!canvas) return;
 
     const handleWheel = (e) => {
-      if (draggingRef.current) {
+      if (!draggingRef.current) {
+        // Over the board: zoom towards the cursor
         e.preventDefault();
-        const frag = fragmentsRef.current.find(
-          (f) => f.id === draggingRef.current.fragmentId
+        viewRef.current = zoomAt(
+          viewRef.current,
+          getScreenPos(e),
+          Math.exp(-e.deltaY * WHEEL_ZOOM_RATE)
         );
-        if (frag) {
-          frag.rotation += e.deltaY > 0 ? ROTATE_STEP : -ROTATE_STEP;
-          render();
+        render();
+        return;
+      }
+      e.preventDefault();
+      const frag = fragmentsRef.current.find(
+        (f) => f.id === draggingRef.current.fragmentId
+      );
+      if (frag) {
+        if (settings.rotationMode === 'free' && e.shiftKey) {
+          // Free rotation: Shift+scroll (or a trackpad swipe) turns smoothly
+          rotateHeld(frag, (e.deltaY || e.deltaX) * FREE_WHEEL_RATE);
+        } else {
+          rotateHeld(frag, e.deltaY > 0 ? rotateStep : -rotateStep);
         }
+        render();
       }
     };
     canvas.addEventListener('wheel', handleWheel, { passive: false });
     return () => canvas.removeEventListener('wheel', handleWheel);
-  }, [render]);
+  }, [render, rotateStep, rotateHeld, getScreenPos, settings.rotationMode]);
+
+  // Victory: blown-away pieces drift back into their gaps, then the whole
+  // leaf parts and clicks back together
+  useEffect(() => {
+    if (!isVictory || celebratedRef.current) return;
+    celebratedRef.current = true;
 
-  // Handle restart
-  const handleRestart = useCallback(() => {
-    setPuzzleSeed(Date.now());
+    const leafOrigin = leafOriginRef.current;
+    const scale = scaleRef.current;
+    const missing = missingRef.current;
+    const now = performance.now();
+    missing.forEach((frag, i) => {
+      const target = {
+        x: leafOrigin.x + frag.centroid.x * scale,
+        y: leafOrigin.y + frag.centroid.y * scale,
+      };
+      frag.currentPosition = target;
+      frag.rotation = 0;
+      frag.isPlaced = true;
+      if (reducedMotion) return;
+      // Start up-wind, off the left edge of the board
+      const offset = { dx: -80 - i * 60 - target.x, dy: -60 + i * 40 };
+      startTween(tweensRef.current, tweenKey(frag.id, 'pose'), driftTween(offset, 1.2 + i * 0.5), now);
+    });
+
+    if (!reducedMotion) {
+      const delay = missing.length > 0 ? DRIFT_DURATION : 0;
+      for (const frag of [...fragmentsRef.current, ...missing]) {
+        startTween(tweensRef.current, tweenKey(frag.id, 'burst'), burstTween(frag.centroid, scale, delay), now);
+      }
+    }
+    render();
+  }, [isVictory, reducedMotion, render]);
+
+  // Animation loop: redraw every frame while tweens run or loose pieces
+  // breathe, and once more when they settle
+  useEffect(() => {
+    const canBreathe = !reducedMotion && stage === 'assemble' && !isVictory;
+    let frame;
+    let animating = false;
+    const tick = (now) => {
+      const breathing =
+        canBreathe && !draggingRef.current && !watchingRef.current && now - lastInputRef.current >= IDLE_DELAY;
+      const active = settleTweens(tweensRef.current, now) || breathing || glowingRef.current;
+      if (active || animating) render();
+      animating = active;
+      frame = requestAnimationFrame(tick);
+    };
+    frame = requestAnimationFrame(tick);
+    return () => cancelAnimationFrame(frame);
+  }, [render, reducedMotion, stage, isVictory]);
+
+  // Any input wakes the board from idle breathing
+  useEffect(() => {
+    const wake = () => {
+      lastInputRef.current = performance.now();
+    };
+    const events = ['pointerdown', 'pointermove', 'keydown', 'wheel'];
+    events.forEach((type) => window.addEventListener(type, wake, true));
+    return () => events.forEach((type) => window.removeEventListener(type, wake, true));
   }, []);
 
+  // Switching motion off mid-animation jumps everything to where it's going
+  useEffect(() => {
+    if (reducedMotion) clearTweens(tweensRef.current);
+  }, [reducedMotion]);
+
+  // Give up hunting: reveal every remaining gap
+  const handleRevealGaps = useCallback(() => {
+    missingRef.current.forEach((frag) => {
+      frag.isIdentified = true;
+    });
+    setGapsFound(missingRef.current.length);
+    render();
+    finish(assemblyTimeRef.current);
+  }, [render, finish]);
+
+  // Copy a shareable link for this exact puzzle
+  const handleCopyCode = useCallback(() => {
+    const url = new URL(window.location.href);
+    url.searchParams.set('puzzle', puzzleCode);
+    if (!navigator.clipboard) return;
+    navigator.clipboard.writeText(url.toString()).then(
+      () => {
+        setCodeCopied(true);
+        setTimeout(() => setCodeCopied(false), 1500);
+      },
+      () => {}
+    );
+  }, [puzzleCode]);
+
   // Rotate button (for mobile)
   const handleRotateBtn = useCallback(() => {
-    // Rotate the most recently interacted unplaced piece
+    // Rotate the last piece touched (or focused), else the topmost unplaced piece
+    if (watchingRef.current) return;
     const unplaced = fragmentsRef.current
-      .filter((f) => !f.isPlaced)
+      .filter((f) => !f.isPlaced && !f.inTray)
       .sort((a, b) => b.zIndex - a.zIndex);
-    if (unplaced.length > 0) {
-      unplaced[0].rotation += ROTATE_STEP;
+    const selected = unplaced.find((f) => f.id === focusedRef.current) || unplaced[0];
+    if (selected) {
+      const before = snapshotPoses(fragmentsRef.current);
+      rotateHeld(selected, rotateStep);
+      recordStep(historyRef.current, before, fragmentsRef.current);
+      syncHistory();
       render();
     }
-  }, [render]);
+  }, [render, rotateStep, rotateHeld, syncHistory]);
+
+  // Show a replay being watched as it was `time` milliseconds in
+  const showReplayAt = useCallback(
+    (time) => {
+      const watch = watchingRef.current;
+      if (!watch) return;
+      const { poses, held } = replayAt(watch.replay, time);
+      applyReplayPoses(fragmentsRef.current, poses, leafOriginRef.current, scaleRef.current);
+      watch.time = time;
+      watch.held = held;
+      render();
+    },
+    [render]
+  );
+
+  // Watch a replay: the board shows copies of the pieces posed from it,
+  // with the real pieces put aside until it's closed. `own` is whether
+  // it's the replay of the solve just finished, else someone else's
+  const startWatching = useCallback(
+    (replay, own) => {
+      if (watchingRef.current) return;
+      const board = { fragments: fragmentsRef.current, missing: missingRef.current };
+      clearTweens(tweensRef.current);
+      fragmentsRef.current = board.fragments.map((f) => ({ ...f, currentPosition: { ...f.currentPosition } }));
+      missingRef.current = [];
+      watchingRef.current = { replay, own, board, time: 0, held: [] };
+      setWatching({ time: 0, duration: replay.duration, playing: true, speed: REPLAY_SPEEDS[1], own });
+      showReplayAt(0);
+    },
+    [showReplayAt]
+  );
+
+  // Stop watching and put the real pieces back. After someone else's
+  // replay the puzzle is the player's own to solve, with the clock from zero
+  const stopWatching = useCallback(() => {
+    const watch = watchingRef.current;
+    if (!watch) return;
+    fragmentsRef.current = watch.board.fragments;
+    missingRef.current = watch.board.missing;
+    watchingRef.current = null;
+    setWatching(null);
+    if (!watch.own) {
+      startTimeRef.current = Date.now();
+      guideOffRef.current = { ms: 0, since: showGhostRef.current ? null : Date.now() };
+      setElapsedTime(0);
+      onSharedReplayClosed?.();
+    }
+    render();
+  }, [render, onSharedReplayClosed]);
+
+  // Play the replay being watched, at its speed, until it ends or is paused
+  useEffect(() => {
+    if (!watching?.playing) return;
+    const speed = watching.speed;
+    let last = performance.now();
+    let frame;
+    const tick = (now) => {
+      const watch = watchingRef.current;
+      if (!watch) return;
+      const time = Math.min(watch.replay.duration, watch.time + (now - last) * speed);
+      last = now;
+      showReplayAt(time);
+      const done = time >= watch.replay.duration;
+      setWatching((w) => w && { ...w, time, playing: !done });
+      if (!done) frame = requestAnimationFrame(tick);
+    };
+    frame = requestAnimationFrame(tick);
+    return () => cancelAnimationFrame(frame);
+  }, [watching?.playing, watching?.speed, showReplayAt]);
+
+  // Play or pause; played again from the end, it starts over
+  const handleReplayPlay = useCallback(() => {
+    const watch = watchingRef.current;
+    if (!watch) return;
+    if (!watching.playing && watch.time >= watch.replay.duration) showReplayAt(0);
+    setWatching((w) => w && { ...w, time: watch.time, playing: !w.playing });
+  }, [watching, showReplayAt]);
+
+  // Scrubber dragged: jump to that moment
+  const handleReplaySeek = useCallback(
+    (e) => {
+      const time = Number(e.target.value);
+      showReplayAt(time);
+      setWatching((w) => w && { ...w, time });
+    },
+    [showReplayAt]
+  );
+
+  const handleReplaySpeed = useCallback(() => {
+    setWatching(
+      (w) => w && { ...w, speed: REPLAY_SPEEDS[(REPLAY_SPEEDS.indexOf(w.speed) + 1) % REPLAY_SPEEDS.length] }
+    );
+  }, []);
+
+  // Download the replay (the one being watched, else this solve's) as JSON, to share
+  const handleExportReplay = useCallback(() => {
+    const replay = watchingRef.current?.replay ?? replayRef.current;
+    if (!replay) return;
+    const url = URL.createObjectURL(new Blob([JSON.stringify(replay)], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = replayFileName(replay);
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }, []);
 
   return (
     <div style={{ width: '100%', height: '100%', display: 'flex', flexDirection: 'column' }}>
@@ -403,11 +2027,38 @@ export default function PuzzleCanvas({
           </button>
           <button
             className="btn-secondary"
-            onClick={handleRestart}
+            onClick={onRestart}
             style={{ fontSize: '0.85rem', padding: '0.3rem 0.8rem' }}
           >
             ↻ Restart
           </button>
+          <button
+            className="btn-secondary"
+            onClick={handleUndo}
+            disabled={historySize.undo === 0 || stage !== 'assemble' || !!watching}
+            title="Undo (Ctrl+Z)"
+            style={{ fontSize: '0.85rem', padding: '0.3rem 0.8rem' }}
+          >
+            ↶ Undo
+          </button>
+          <button
+            className="btn-secondary"
+            onClick={handleRedo}
+            disabled={historySize.redo === 0 || stage !== 'assemble' || !!watching}
+            title="Redo (Ctrl+Shift+Z)"
+            style={{ fontSize: '0.85rem', padding: '0.3rem 0.8rem' }}
+          >
+            ↷ Redo
+          </button>
+          <button
+            className="btn-secondary"
+            onClick={handleHint}
+            disabled={hintsLeft <= 0 || stage !== 'assemble' || !!watching}
+            title={hintsLeft > 0 ? `Hint (H) — ${hintsLeft} left` : 'No hints left'}
+            style={{ fontSize: '0.85rem', padding: '0.3rem 0.8rem' }}
+          >
+            💡 Hint ({hintsLeft})
+          </button>
         </div>
 
         <div className="hud-center">
@@ -418,76 +2069,302 @@ export default function PuzzleCanvas({
         </div>
 
         <div className="hud-right">
+          <button
+            className="puzzle-code"
+            onClick={handleCopyCode}
+            title="Puzzle code — copy a link to this exact puzzle"
+          >
+            {codeCopied ? 'Link copied' : puzzleCode}
+          </button>
           <span className="piece-counter">
-            {placedCount} / {totalFragments}
+            {stage === 'identify'
+              ? `Gaps ${gapsFound} / ${missingRef.current.length}`
+              : `${placedCount} / ${totalFragments}`}
           </span>
+          {!showGhost && stage === 'assemble' && (
+            <span className="guide-bonus" title="Playing without the guide earns a score bonus (G to bring it back)">
+              Guide off · bonus
+            </span>
+          )}
           <span className="timer">{formatTime(elapsedTime)}</span>
         </div>
       </div>
 
-      {/* Canvas */}
-      <div className="puzzle-container" ref={containerRef}>
-        <canvas
-          ref={canvasRef}
-          onMouseDown={handlePointerDown}
-          onMouseMove={handlePointerMove}
-          onMouseUp={handlePointerUp}
-          onMouseLeave={handlePointerUp}
-          onTouchStart={handlePointerDown}
-          onTouchMove={handlePointerMove}
-          onTouchEnd={handlePointerUp}
-          style={{ cursor: draggingRef.current ? 'grabbing' : 'grab' }}
-        />
-
-        {/* Victory overlay */}
-        {isVictory && (
-          <div className="victory-overlay">
-            <div className="victory-title">Lovely!</div>
-            <div className="species-label">{species.name}</div>
-            <div className="species-scientific" style={{ marginTop: '0.25rem' }}>
-              {species.scientificName}
+      {/* Canvas, with the tray beside or below it */}
+      <div className={`puzzle-body tray-${trayPosition}`}>
+        <div className="puzzle-container" ref={containerRef}>
+          <canvas
+            ref={canvasRef}
+            onPointerDown={handlePointerDown}
+            onPointerMove={handlePointerMove}
+            onPointerUp={handlePointerUp}
+            onPointerCancel={handlePointerUp}
+            onKeyDown={handleCanvasKeyDown}
+            onFocus={() => setKeyboardFocus(true)}
+            onBlur={() => {
+              commitKeyboardStep();
+              setKeyboardFocus(false);
+            }}
+            tabIndex={0}
+            aria-label={
+              stage === 'shatter'
+                ? `${species.name} leaf. Arrow keys aim, Enter shatters it there.`
+                : stage === 'identify'
+                  ? `${species.name} leaf. Arrow keys move over it, Enter picks the spot of a missing piece.`
+                  : `${species.name} puzzle board. Press Tab to pick up a piece.`
+            }
+            aria-describedby="puzzle-announcer"
+            style={{ cursor: draggingRef.current ? 'grabbing' : 'grab' }}
+          />
+          <div id="puzzle-announcer" className="sr-only" aria-live="polite">
+            {announcement}
+          </div>
+
+          {/* Zoom and fit */}
+          {stage !== 'shatter' && (
+            <div className="view-controls">
+              <button onClick={() => zoomBy(ZOOM_STEP)} title="Zoom in (+)" aria-label="Zoom in">
+                +
+              </button>
+              <button onClick={() => zoomBy(1 / ZOOM_STEP)} title="Zoom out (−)" aria-label="Zoom out">
+                −
+              </button>
+              <button onClick={handleFitLeaf} title="Zoom to the leaf">
+                Fit leaf
+              </button>
+              <button onClick={handleFitPieces} title="Zoom out to see every piece">
+                Fit pieces
+              </button>
             </div>
-            <p className="fun-fact">{species.funFact}</p>
-            <p style={{ fontFamily: 'var(--font-display)', fontSize: '1.2rem', color: 'var(--color-text-light)', marginBottom: '1.5rem' }}>
-              Time: {formatTime(finalTime)}
-            </p>
-            <div className="victory-buttons">
-              <button className="btn-primary" onClick={onPlayAgain}>
-                Play again
+          )}
+
+          {/* Sorting and layout */}
+          {stage === 'assemble' && !watching && (
+            <div className="view-controls board-tools">
+              <button onClick={() => handleGather(true)} title="Gather the pieces with part of the leaf's edge">
+                Edges
+              </button>
+              <button onClick={() => handleGather(false)} title="Gather the pieces from inside the leaf">
+                Middles
+              </button>
+              <button onClick={handleSpread} title="Scatter the loose pieces well apart">
+                Spread out
               </button>
-              <button className="btn-secondary" onClick={onNewLeaf}>
-                New leaf
+              <button onClick={handleTidy} title="Lay the loose pieces out in rows">
+                Tidy up
+              </button>
+              <button
+                onClick={() => onTrayChange(TRAY_POSITIONS[(TRAY_POSITIONS.indexOf(trayPosition) + 1) % TRAY_POSITIONS.length])}
+                title="Show the piece tray along the bottom, down the side, or not at all"
+              >
+                Tray: {trayPosition}
               </button>
             </div>
-          </div>
+          )}
+
+          {/* Replay: play/pause, scrubber, speed */}
+          {watching && (
+            <div className="replay-controls">
+              <button
+                onClick={handleReplayPlay}
+                aria-label={watching.playing ? 'Pause replay' : 'Play replay'}
+              >
+                {watching.playing ? '❚❚' : '▶'}
+              </button>
+              <input
+                type="range"
+                min={0}
+                max={watching.duration}
+                step="any"
+                value={watching.time}
+                onChange={handleReplaySeek}
+                aria-label="Replay position"
+              />
+              <span className="replay-time">
+                {formatTime(Math.floor(watching.time / 1000))} / {formatTime(Math.floor(watching.duration / 1000))}
+              </span>
+              <button onClick={handleReplaySpeed} title="Replay speed">
+                ×{watching.speed}
+              </button>
+              <button onClick={handleExportReplay} title="Download this replay to share">
+                Export
+              </button>
+              <button onClick={stopWatching}>{watching.own ? 'Close' : 'Play it yourself'}</button>
+            </div>
+          )}
+
+          {/* Tiling report (dev builds) */}
+          {showTilingReport && tilingReport && (
+            <div className="dev-overlay">
+              <div>
+                {tilingReport.ok ? 'Tiling OK' : 'Tiling rules broken'} · {tilingReport.pieceCount}/
+                {tilingReport.expectedCount} pieces
+              </div>
+              <div>Coverage {(tilingReport.coverage * 100).toFixed(4)}%</div>
+              <div>
+                Sizes {(tilingReport.smallest * 100).toFixed(1)}–{(tilingReport.largest * 100).toFixed(1)}%
+                (allowed {(tilingReport.minFraction * 100).toFixed(1)}–{(tilingReport.maxFraction * 100).toFixed(0)}%)
+              </div>
+              {tilingReport.floorRelaxed && (
+                <div>
+                  Floor relaxed from {MIN_PIECE_FRACTION * 100}% for {tilingReport.expectedCount} pieces
+                </div>
+              )}
+              <div>
+                {tilingReport.attempts} cut(s), {tilingReport.merges} merge(s), {tilingReport.splits} split(s),{' '}
+              {tilingReport.edgePieces} edge piece(s)
+              </div>
+              {tilingReport.problems.map((problem) => (
+                <div key={problem}>⚠ {problem}</div>
+              ))}
+            </div>
+          )}
+
+          {/* Victory overlay */}
+          {isVictory && !watching && (
+            <div
+              className={`victory-overlay ${
+                reducedMotion ? '' : missingRef.current.length > 0 ? 'after-drift' : 'after-celebration'
+              }`}
+            >
+              <div className="victory-title">Lovely!</div>
+              <div className="species-label">{species.name}</div>
+              <div className="species-scientific" style={{ marginTop: '0.25rem' }}>
+                {species.scientificName}
+              </div>
+              <p className="fun-fact">{species.funFact}</p>
+              <p style={{ fontFamily: 'var(--font-display)', fontSize: '1.2rem', color: 'var(--color-text-light)', marginBottom: '1.5rem' }}>
+                Time: {formatTime(finalTime)}
+                {' · '}
+                {hintsUsed === 0 ? 'no hints' : `${hintsUsed} of ${hintLimit(settings.difficulty)} hints`}
+              </p>
+              {score && (
+                <div className="score-card">
+                  <div className="score-stars" aria-label={`${score.stars} of 3 stars`}>
+                    {starString(score.stars)}
+                  </div>
+                  <div className="score-total">{score.score} points</div>
+                  <table className="score-breakdown">
+                    <tbody>
+                      {score.breakdown.map(({ label, points, max }) => (
+                        <tr key={label} className={label === 'Guide off bonus' && points > 0 ? 'bonus' : undefined}>
+                          <th scope="row">{label}</th>
+                          <td>
+                            {points} / {max}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+              {personalBest?.isBest && (
+                <p className="personal-best">
+                  🏆 New personal best
+                  {personalBest.previousBest != null && ` — ${formatTime(personalBest.previousBest - finalTime)} faster`}
+                </p>
+              )}
+              {dailyResult && (
+                <p className="daily-done">
+                  🌅 Today's leaf done · 🔥 {dailyResult.streak}-day streak
+                </p>
+              )}
+              {replayRef.current && (
+                <p className="victory-replay">
+                  <button className="link-btn" onClick={() => startWatching(replayRef.current, true)}>
+                    ▶ Watch the replay
+                  </button>
+                  {' · '}
+                  <button className="link-btn" onClick={handleExportReplay}>
+                    Export replay
+                  </button>
+                </p>
+              )}
+              <div className="victory-buttons">
+                <button className="btn-primary" onClick={onPlayAgain}>
+                  Play again
+                </button>
+                <button className="btn-secondary" onClick={onNewLeaf}>
+                  New leaf
+                </button>
+              </div>
+            </div>
+          )}
+        </div>
+        {trayPosition !== 'off' && (
+          <PieceTray
+            trayRef={trayRef}
+            groups={watching ? [] : trayGroups}
+            position={trayPosition}
+            species={species}
+            scale={scaleRef.current}
+            autumn={autumn}
+            onGrab={handleTrayGrab}
+            onTake={handleTrayTake}
+          />
         )}
       </div>
 
       {/* Controls hint */}
-      <div className="controls-hint">
-        <span>Drag pieces into place · </span>
-        <span>
-          <strong>Scroll</strong> or <strong>R</strong> to rotate ·{' '}
-        </span>
-        <span>
-          <strong>G</strong> to toggle guide ·{' '}
-        </span>
-        <button
-          onClick={handleRotateBtn}
-          style={{
-            display: 'inline',
-            background: 'none',
-            fontFamily: 'var(--font-body)',
-            fontSize: '0.8rem',
-            color: 'var(--color-accent)',
-            textDecoration: 'underline',
-            padding: 0,
-            cursor: 'pointer',
-          }}
-        >
-          Rotate top piece
-        </button>
-      </div>
+      {watching ? (
+        <div className="controls-hint">
+          <span>
+            {watching.own ? 'Your solve, sped up' : 'Someone else’s solve of this puzzle, sped up'} · drag the
+            slider to skip through it
+          </span>
+        </div>
+      ) : stage === 'shatter' ? (
+        <div className="controls-hint">
+          <span>Tap the leaf to shatter it (or arrows and Enter on the focused board)</span>
+        </div>
+      ) : stage === 'identify' && !isVictory ? (
+        <div className="controls-hint">
+          <span>
+            {missedTap
+              ? 'Not there — keep looking · '
+              : `${missingRef.current.length === 1 ? 'A piece has' : 'Some pieces have'} blown away! Tap where each gap is · `}
+          </span>
+          <button className="link-btn" onClick={handleRevealGaps}>
+            Show me
+          </button>
+        </div>
+      ) : (
+        <div className="controls-hint">
+          <span>Drag pieces into place · </span>
+          <span>
+            <strong>Scroll</strong> or <strong>R</strong> while holding to rotate ·{' '}
+          </span>
+          <span>
+            <strong>Scroll</strong> or <strong>+/−</strong> to zoom, drag empty space to pan ·{' '}
+          </span>
+          {settings.rotationMode === 'free' && (
+            <span>
+              <strong>Shift+Scroll</strong> to turn freely ·{' '}
+            </span>
+          )}
+          <span>
+            <strong>G</strong> to toggle guide (off earns a bonus), <strong>H</strong> for a hint ·{' '}
+          </span>
+          <button
+            className="link-btn"
+            onClick={() => setShowWarmth((prev) => !prev)}
+            title="Glow when a moving piece nears its spot — turn off for a challenge"
+          >
+            {showWarmth ? 'Glow on' : 'Glow off'}
+          </button>
+          <span> (<strong>F</strong>) · </span>
+          <span>
+            <strong>Tab</strong>, arrows and <strong>Enter</strong> to play by keyboard ·{' '}
+          </span>
+          <span>
+            Touch: <strong>twist</strong> with two fingers or <strong>hold</strong> a piece to rotate,{' '}
+            <strong>pinch</strong> to zoom ·{' '}
+          </span>
+          <button className="link-btn" onClick={handleRotateBtn}>
+            Rotate piece
+          </button>
+        </div>
+      )}
     </div>
   );
 }
@@ -0,0 +1,91 @@
+import React from 'react';
+import { LEAF_SPECIES } from '../data/leaves';
+import { averageTime, formatTime } from '../engine/stats';
+import { starString } from '../engine/scoring';
+
+const DIFFICULTIES = ['easy', 'medium', 'hard', 'expert'];
+
+/** A species' record keys (see recordKey), easiest difficulty first. */
+function recordKeys(stats, speciesId) {
+  const rank = (key) => DIFFICULTIES.indexOf(key.split(' · ')[0]);
+  return Object.keys(stats[speciesId] ?? {}).sort((a, b) => rank(a) - rank(b) || a.localeCompare(b));
+}
+
+/** Personal records for every leaf played, one row per kind of puzzle. */
+export default function StatsScreen({ stats, onBack }) {
+  const played = LEAF_SPECIES.filter((species) => recordKeys(stats, species.id).length > 0);
+  const totalSolves = played.reduce(
+    (sum, species) => sum + recordKeys(stats, species.id).reduce((n, key) => n + stats[species.id][key].solves, 0),
+    0
+  );
+
+  return (
+    <div className="screen" style={{ gap: '1rem', padding: '1rem', overflowY: 'auto', justifyContent: 'flex-start' }}>
+      <div style={{ display: 'flex', alignItems: 'center', gap: '1rem', width: '100%', maxWidth: 640 }}>
+        <button className="btn-secondary" onClick={onBack} style={{ fontSize: '0.95rem', padding: '0.4rem 1rem' }}>
+          ← Back
+        </button>
+        <h2
+          style={{
+            fontFamily: 'var(--font-display)',
+            fontSize: '1.8rem',
+            fontWeight: 700,
+            color: 'var(--color-text)',
+          }}
+        >
+          Your records
+        </h2>
+      </div>
+
+      {played.length === 0 ? (
+        <p className="fun-fact">No leaves finished yet — your times will gather here.</p>
+      ) : (
+        <>
+          <p className="species-scientific">
+            {totalSolves} {totalSolves === 1 ? 'puzzle' : 'puzzles'} finished
+          </p>
+          {played.map((species) => (
+            <div key={species.id} className="stats-card">
+              <div className="leaf-card-name">{species.name}</div>
+              <table className="stats-table">
+                <thead>
+                  <tr>
+                    <th scope="col">Puzzle</th>
+                    <th scope="col">Solves</th>
+                    <th scope="col">Best</th>
+                    <th scope="col">Average</th>
+                    <th scope="col">Rotations</th>
+                    <th scope="col">Hints</th>
+                    <th scope="col">Top score</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {recordKeys(stats, species.id).map((key) => {
+                    const record = stats[species.id][key];
+                    return (
+                      <tr key={key}>
+                        <th scope="row">{key.charAt(0).toUpperCase() + key.slice(1)}</th>
+                        <td>{record.solves}</td>
+                        <td>{formatTime(record.bestTime)}</td>
+                        <td>{formatTime(averageTime(record))}</td>
+                        <td>{record.rotations}</td>
+                        <td>{record.hints}</td>
+                        <td>
+                          {record.bestScore != null && (
+                            <>
+                              <span className="stats-stars">{starString(record.bestStars)}</span> {record.bestScore}
+                            </>
+                          )}
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          ))}
+        </>
+      )}
+    </div>
+  );
+}
@@ -1,6 +1,17 @@
 import React from 'react';
+import ContinueButton from './ContinueButton';
+import { formatTime } from '../engine/stats';
 
-export default function TitleScreen({ onPlay }) {
+export default function TitleScreen({
+  onPlay,
+  savedGame,
+  onContinue,
+  onShowStats,
+  dailyDone,
+  streak,
+  onPlayDaily,
+  onShowDailies,
+}) {
   return (
     <div className="screen" style={{ gap: '1.5rem', background: 'var(--color-bg)' }}>
       {/* Decorative falling leaves */}
@@ -63,6 +74,26 @@ export default function TitleScreen({ onPlay }) {
         Play
       </button>
 
+      <ContinueButton savedGame={savedGame} onContinue={onContinue} />
+
+      {/* Today's leaf: the same puzzle for everyone, every day */}
+      <div style={{ display: 'flex', flexDirection: 'column', alignItems: 'center', gap: '0.3rem' }}>
+        <button className="btn-secondary continue-btn" onClick={onPlayDaily}>
+          🌅 Today's leaf
+          {dailyDone && <span className="continue-detail">Done in {formatTime(dailyDone.time)} — play again</span>}
+        </button>
+        <span style={{ fontSize: '0.85rem', color: 'var(--color-text-light)' }}>
+          {streak > 0 && `🔥 ${streak}-day streak · `}
+          <button className="link-btn" onClick={onShowDailies}>
+            Past days
+          </button>
+        </span>
+      </div>
+
+      <button className="btn-secondary" onClick={onShowStats}>
+        📊 Your records
+      </button>
+
       <p
         style={{
           position: 'absolute',
@@ -399,6 +399,7 @@ export const LEAF_SPECIES = [
     name: 'Sugar Maple',
     scientificName: 'Acer saccharum',
     difficulty: 1,
+    pieceRange: { min: 5, max: 24 }, // fewer pieces leave whole lobes hanging off one fragment
     funFact:
       'Sugar Maple sap is boiled down to make maple syrup. It takes about 40 litres of sap to produce just 1 litre of syrup!',
     colours: {
@@ -431,6 +432,7 @@ export const LEAF_SPECIES = [
     name: 'Horse Chestnut',
     scientificName: 'Aesculus hippocastanum',
     difficulty: 2,
+    pieceRange: { min: 5, max: 26 }, // one piece per leaflet at the least
     funFact:
       'The seeds of Horse Chestnut trees are called conkers. The British game of Conkers has been played since at least the 1850s!',
     colours: {
@@ -447,6 +449,7 @@ export const LEAF_SPECIES = [
     name: 'Silver Birch',
     scientificName: 'Betula pendula',
     difficulty: 3,
+    pieceRange: { min: 3, max: 16 }, // a small, narrow blade turns to slivers past this
     funFact:
       'Silver Birch bark contains a chemical called betulin that makes it waterproof. Viking longships used birch bark for caulking!',
     colours: {
@@ -556,11 +559,16 @@ export function drawLeaf(ctx, species, offsetX = 0, offsetY = 0, scale = 1, autu
   ctx.restore();
 }
 
+/** How much a fully lifted fragment grows (1.05×). */
+export const LIFT_SCALE = 0.05;
+
 /**
  * Render a single leaf fragment by clipping the full leaf render to the fragment polygon.
+ * `lift` (0–1) raises it off the bench: it grows up to LIFT_SCALE and casts a deeper shadow.
  */
-export function drawFragment(ctx, fragment, species, leafOriginX, leafOriginY, scale = 1, autumn = false) {
+export function drawFragment(ctx, fragment, species, leafOriginX, leafOriginY, scale = 1, autumn = false, lift = 0) {
   const { polygon, centroid, currentPosition, rotation, isPlaced } = fragment;
+  scale *= 1 + LIFT_SCALE * lift;
 
   ctx.save();
 
@@ -605,11 +613,11 @@ export function drawFragment(ctx, fragment, species, leafOriginX, leafOriginY, s
   } else {
     ctx.strokeStyle = 'rgba(80, 60, 40, 0.4)';
     ctx.lineWidth = 1.5;
-    // Drop shadow for unplaced pieces
-    ctx.shadowColor = 'rgba(0, 0, 0, 0.15)';
-    ctx.shadowBlur = 8;
-    ctx.shadowOffsetX = 2;
-    ctx.shadowOffsetY = 3;
+    // Drop shadow for unplaced pieces, deeper the higher they're lifted
+    ctx.shadowColor = `rgba(0, 0, 0, ${0.15 + 0.15 * lift})`;
+    ctx.shadowBlur = 8 + 12 * lift;
+    ctx.shadowOffsetX = 2 + 3 * lift;
+    ctx.shadowOffsetY = 3 + 7 * lift;
   }
   ctx.stroke();
   ctx.restore();
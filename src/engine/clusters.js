@@ -0,0 +1,98 @@
+/**
+ * Clusters: groups of fragments joined to one another off-board.
+ *
+ * Fragments in a cluster share a `clusterId` and a rotation, and their
+ * positions keep the same relative layout they have in the assembled leaf,
+ * so the group drags, rotates and snaps as one piece.
+ */
+
+import { normalizeAngle } from './fracture';
+
+/** All fragments in the same cluster as `fragment` (including itself). */
+export function clusterOf(fragments, fragment) {
+  return fragments.filter((f) => f.clusterId === fragment.clusterId);
+}
+
+/**
+ * Where `other` sits when it is correctly joined to `anchor`, in canvas space.
+ * Both are in leaf-local coordinates, so the offset between centroids is
+ * rotated by the anchor's rotation and scaled.
+ */
+export function jointPosition(anchor, other, scale = 1) {
+  const dx = (other.centroid.x - anchor.centroid.x) * scale;
+  const dy = (other.centroid.y - anchor.centroid.y) * scale;
+  const cos = Math.cos(anchor.rotation);
+  const sin = Math.sin(anchor.rotation);
+  return {
+    x: anchor.currentPosition.x + dx * cos - dy * sin,
+    y: anchor.currentPosition.y + dx * sin + dy * cos,
+  };
+}
+
+/** Translate every fragment in a cluster. */
+export function moveCluster(members, dx, dy) {
+  for (const f of members) {
+    f.currentPosition = { x: f.currentPosition.x + dx, y: f.currentPosition.y + dy };
+  }
+}
+
+/** Rotate every fragment in a cluster by `angle` around `pivot`. */
+export function rotateCluster(members, angle, pivot) {
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+  for (const f of members) {
+    const dx = f.currentPosition.x - pivot.x;
+    const dy = f.currentPosition.y - pivot.y;
+    f.currentPosition = {
+      x: pivot.x + dx * cos - dy * sin,
+      y: pivot.y + dx * sin + dy * cos,
+    };
+    f.rotation += angle;
+  }
+}
+
+/**
+ * Look for a neighbour outside the moving cluster that one of its members
+ * can join: same relative rotation (within `snapAngle`) and positioned
+ * within `snapDistance` of where it belongs beside that neighbour.
+ *
+ * @param {Array<Fragment>} fragments - Every fragment on the board
+ * @param {Array<Fragment>} members - The cluster that was just dropped
+ * @returns {{anchor: Fragment, member: Fragment} | null}
+ */
+export function findJoin(fragments, members, scale, snapDistance, snapAngle) {
+  const byId = new Map(fragments.map((f) => [f.id, f]));
+  const clusterId = members[0].clusterId;
+
+  for (const member of members) {
+    for (const id of member.neighbours || []) {
+      const anchor = byId.get(id);
+      // Pieces put away in the tray aren't on the board to join
+      if (!anchor || anchor.clusterId === clusterId || anchor.inTray) continue;
+
+      if (Math.abs(normalizeAngle(member.rotation - anchor.rotation)) > snapAngle) continue;
+
+      const target = jointPosition(anchor, member, scale);
+      const dx = member.currentPosition.x - target.x;
+      const dy = member.currentPosition.y - target.y;
+      if (Math.sqrt(dx * dx + dy * dy) < snapDistance) {
+        return { anchor, member };
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Fuse a moving cluster onto the anchor's cluster: line every member up in
+ * the anchor's frame and adopt its clusterId (and placed state).
+ */
+export function joinClusters(fragments, members, anchor, scale = 1) {
+  for (const f of members) {
+    f.currentPosition = jointPosition(anchor, f, scale);
+    f.rotation = anchor.rotation;
+    f.clusterId = anchor.clusterId;
+    f.isPlaced = anchor.isPlaced;
+  }
+  return clusterOf(fragments, anchor);
+}
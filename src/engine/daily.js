@@ -0,0 +1,101 @@
+/**
+ * Today's leaf: one puzzle a day, the same for everyone, picked from the
+ * calendar date with the puzzles' own seeded generator (mulberry32).
+ *
+ * Dailies the player has finished are kept locally (see storage.js), for
+ * the streak and the calendar. Days are local calendar dates, as
+ * 'YYYY-MM-DD' keys.
+ */
+
+import { mulberry32, pieceCountFor, speciesPieceRange } from './fracture';
+import { DEFAULT_SETTINGS } from './puzzleCode';
+import { readStored, writeStored } from './storage';
+
+const DAILY_KEY = 'leaf-it-together:daily';
+const DAILY_DIFFICULTIES = ['easy', 'medium', 'hard'];
+
+/** A date's key, e.g. '2026-10-19'. */
+export function dateKey(date = new Date()) {
+  const m = String(date.getMonth() + 1).padStart(2, '0');
+  const d = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${m}-${d}`;
+}
+
+/** The (local, midnight) date a key names. */
+export function keyToDate(key) {
+  const [y, m, d] = key.split('-').map(Number);
+  return new Date(y, m - 1, d);
+}
+
+/** The key `n` days after (or before, if negative) `key`. */
+export function addDays(key, n) {
+  const date = keyToDate(key);
+  date.setDate(date.getDate() + n);
+  return dateKey(date);
+}
+
+/**
+ * The puzzle for a day: species, difficulty (easy to hard) and seed all
+ * come from one stream seeded by the date. The piece count is fitted to
+ * the species' range, as in LeafSelect.
+ *
+ * @param {string} key - See dateKey
+ * @param {Array<object>} speciesList - LEAF_SPECIES
+ * @returns {{species: object, settings: object, seed: number}}
+ */
+export function dailyPuzzle(key, speciesList) {
+  const rng = mulberry32(Number(key.replace(/-/g, '')));
+  const species = speciesList[Math.floor(rng() * speciesList.length)];
+  const difficulty = DAILY_DIFFICULTIES[Math.floor(rng() * DAILY_DIFFICULTIES.length)];
+  const seed = Math.floor(rng() * 0x100000000) >>> 0;
+
+  const { min, max } = speciesPieceRange(species);
+  const count = pieceCountFor(difficulty, null);
+  const fitted = Math.min(max, Math.max(min, count));
+  return {
+    species,
+    seed,
+    settings: { ...DEFAULT_SETTINGS, difficulty, pieceCount: fitted === count ? null : fitted },
+  };
+}
+
+/**
+ * Mark a day's puzzle finished (without changing `dailies`), keeping the
+ * best time. `onTheDay` is whether it was finished on its own day — only
+ * those count towards the streak; replays of past days don't.
+ */
+export function recordDaily(dailies, key, time, onTheDay) {
+  const old = dailies[key];
+  return {
+    ...dailies,
+    [key]: {
+      time: old ? Math.min(old.time, time) : time,
+      onTheDay: !!old?.onTheDay || onTheDay,
+    },
+  };
+}
+
+/**
+ * How many days in a row, up to `today`, had their puzzle finished on the
+ * day. A streak carries on through today until today's is done or missed.
+ */
+export function dailyStreak(dailies, today) {
+  let key = dailies[today]?.onTheDay ? today : addDays(today, -1);
+  let streak = 0;
+  while (dailies[key]?.onTheDay) {
+    streak += 1;
+    key = addDays(key, -1);
+  }
+  return streak;
+}
+
+/** Finished dailies by day, or none yet. */
+export function readDailies() {
+  const value = readStored(DAILY_KEY);
+  return value && typeof value === 'object' && !Array.isArray(value) ? value : {};
+}
+
+/** @returns {boolean} whether the dailies reached storage */
+export function writeDailies(dailies) {
+  return writeStored(DAILY_KEY, dailies);
+}
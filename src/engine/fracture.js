@@ -1,28 +1,85 @@
 /**
  * Fracture engine: slice a leaf outline into irregular fragments
- * using Voronoi tessellation with Lloyd relaxation.
+ * (Voronoi by default — see fractureStyles.js), tear the shared edges,
+ * and scatter / snap the resulting pieces.
  */
 
 import {
-  randomPointsInPolygon,
-  lloydRelax,
-  computeVoronoiCells,
+  splitAtTJunctions,
+  matchSharedEdges,
+  neighboursFromEdges,
   polygonCentroid,
-  polygonArea,
   polygonBounds,
+  dist,
 } from './geometry';
+import { FRACTURE_STYLES } from './fractureStyles';
+import { rebalanceCells, validateTiling } from './tiling';
+import { packGroups } from './layout';
 
-/** Piece counts for each difficulty level. */
+/** Piece counts for each difficulty level (expert's is a default; see pieceCount). */
 const PIECE_COUNTS = {
   easy: 5,
   medium: 8,
   hard: 13,
+  expert: 100,
+};
+
+/** Custom piece counts offered by the Count slider, before any species limits. */
+export const PIECE_RANGE = { min: 3, max: 30 };
+
+/** Custom piece counts allowed in expert mode. */
+export const EXPERT_PIECE_RANGE = { min: 50, max: 200 };
+
+/**
+ * The Count slider's range for a species: PIECE_RANGE narrowed by the
+ * species' own optional `pieceRange` (see LEAF_SPECIES).
+ */
+export function speciesPieceRange(species) {
+  const own = species?.pieceRange || {};
+  return {
+    min: Math.max(PIECE_RANGE.min, own.min ?? PIECE_RANGE.min),
+    max: Math.min(PIECE_RANGE.max, own.max ?? PIECE_RANGE.max),
+  };
+}
+
+/**
+ * How many pieces a puzzle has: a custom count if one is given (clamped to
+ * 3–200), otherwise the difficulty's default.
+ */
+export function pieceCountFor(difficulty, pieceCount) {
+  if (pieceCount != null) {
+    return Math.min(EXPERT_PIECE_RANGE.max, Math.max(3, Math.round(pieceCount)));
+  }
+  return PIECE_COUNTS[difficulty] || PIECE_COUNTS.medium;
+}
+
+/**
+ * A piece count as settings should keep it: null when it only repeats the
+ * difficulty's default, so one puzzle never ends up with two codes.
+ */
+export function customPieceCount(difficulty, pieceCount) {
+  if (pieceCount == null) return null;
+  return pieceCountFor(difficulty, pieceCount) === pieceCountFor(difficulty, null) ? null : pieceCount;
+}
+
+/** Fresh cuts to try before settling for the one that breaks the fewest tiling rules. */
+const MAX_CUT_ATTEMPTS = 12;
+
+/**
+ * Rotation challenge settings.
+ * `quarter`: pieces scatter at 0/90/180/270° and turn in 90° steps.
+ * `free`: pieces scatter at any angle and turn in 15° steps (or freely by gesture),
+ * so snapping relies on the angular tolerance rather than an exact match.
+ */
+export const ROTATION_MODES = {
+  quarter: { step: Math.PI / 2 },
+  free: { step: Math.PI / 12 },
 };
 
 /**
  * Seeded PRNG (Mulberry32) for reproducible puzzles.
  */
-function mulberry32(seed) {
+export function mulberry32(seed) {
   let s = seed | 0;
   return function () {
     s = (s + 0x6d2b79f5) | 0;
@@ -33,88 +90,174 @@ function mulberry32(seed) {
 }
 
 /**
- * Add slight noise to polygon edges so fractures look more like torn edges.
- * Subdivides each edge and displaces midpoints along the edge normal.
- */
-function addTornEdgeNoise(polygon, amount = 1.5, subdivisions = 1) {
-  if (polygon.length < 3) return polygon;
-  const result = [];
-  for (let i = 0; i < polygon.length; i++) {
-    const a = polygon[i];
-    const b = polygon[(i + 1) % polygon.length];
-    result.push(a);
-    for (let s = 1; s <= subdivisions; s++) {
-      const t = s / (subdivisions + 1);
-      const mx = a.x + (b.x - a.x) * t;
-      const my = a.y + (b.y - a.y) * t;
-      // Normal direction
-      const dx = b.x - a.x;
-      const dy = b.y - a.y;
-      const len = Math.sqrt(dx * dx + dy * dy);
-      if (len > 0) {
-        const nx = -dy / len;
-        const ny = dx / len;
-        const displacement = (Math.random() - 0.5) * 2 * amount;
-        result.push({ x: mx + nx * displacement, y: my + ny * displacement });
-      } else {
-        result.push({ x: mx, y: my });
-      }
+ * Derive an independent stream from a puzzle seed, so fracture and scatter
+ * don't share (and perturb) one another's random sequence.
+ */
+export function deriveRng(seed, salt) {
+  return mulberry32((seed ^ Math.imul(salt, 0x9e3779b1)) | 0);
+}
+
+/**
+ * Tear roughness levels: the first midpoint displacement as a fraction of
+ * the edge length. Rougher tears make edges more distinctive to match.
+ */
+export const TEAR_JAGGEDNESS = {
+  gentle: 0.04,
+  torn: 0.09,
+  ragged: 0.16,
+};
+
+const TEAR_SEGMENT = 5; // stop subdividing once segments are this short (leaf units)
+const TEAR_MAX_OFFSET = 5; // cap on the first displacement so tears stay inside small cells
+const TEAR_MATCH_EPSILON = 0.01; // shared vertices computed from each side agree to within this
+
+/**
+ * Build a torn path from a to b by midpoint displacement (a 1D fractal):
+ * each level halves the segments and nudges the new midpoints along the
+ * edge normal by a shrinking random amount. The offset tapers to zero at
+ * both ends so the tear meets the cell corners cleanly.
+ *
+ * @returns {Array<{x: number, y: number}>} interior points only (a and b excluded)
+ */
+function tearPath(a, b, roughness, rng) {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const len = Math.sqrt(dx * dx + dy * dy);
+  if (len < TEAR_SEGMENT * 2 || roughness <= 0) return [];
+
+  const nx = -dy / len;
+  const ny = dx / len;
+  let offsets = [0, 0];
+  let amplitude = Math.min(len * roughness, TEAR_MAX_OFFSET);
+  while (len / (offsets.length - 1) > TEAR_SEGMENT) {
+    const next = [];
+    for (let k = 0; k < offsets.length - 1; k++) {
+      next.push(offsets[k]);
+      next.push((offsets[k] + offsets[k + 1]) / 2 + (rng() - 0.5) * 2 * amplitude);
     }
+    next.push(offsets[offsets.length - 1]);
+    offsets = next;
+    amplitude *= 0.55;
   }
-  return result;
+
+  const m = offsets.length - 1;
+  return offsets.slice(1, -1).map((o, k) => {
+    const t = (k + 1) / m;
+    const taper = Math.sin(Math.PI * t);
+    return { x: a.x + dx * t + nx * o * taper, y: a.y + dy * t + ny * o * taper };
+  });
+}
+
+/**
+ * Replace every shared edge between neighbouring cells with a torn path,
+ * generated once per edge and used (reversed) by both cells so the
+ * fragments interlock exactly. Edges along the leaf margin are left as-is.
+ *
+ * @param {Array<Array<{x, y}>>} cells - Voronoi cells, all with the same winding
+ * @param {Array<Array<number>>} edgeNeighbours - From matchSharedEdges
+ */
+function tearSharedEdges(cells, edgeNeighbours, roughness, rng) {
+  const tears = new Map(); // "i-j" → [{ from, to, path }]
+
+  return cells.map((cell, i) => {
+    if (!cell || cell.length < 3) return cell;
+    const result = [];
+    cell.forEach((a, k) => {
+      const b = cell[(k + 1) % cell.length];
+      result.push(a);
+      const j = edgeNeighbours[i][k];
+      if (j < 0) return;
+
+      const key = i < j ? `${i}-${j}` : `${j}-${i}`;
+      if (!tears.has(key)) tears.set(key, []);
+      const shared = tears.get(key);
+      // The neighbour walks the same stretch of boundary in the opposite direction
+      const match = shared.find(
+        (t) => dist(t.from, b) < TEAR_MATCH_EPSILON && dist(t.to, a) < TEAR_MATCH_EPSILON
+      );
+      if (match) {
+        result.push(...[...match.path].reverse());
+      } else {
+        const path = tearPath(a, b, roughness, rng);
+        shared.push({ from: a, to: b, path });
+        result.push(...path);
+      }
+    });
+    return result;
+  });
+}
+
+/**
+ * How many of each cell's vertices lie on the leaf margin — the ends of its
+ * outline edges (those with no neighbour across them). Zero for a cell
+ * that's all interior.
+ *
+ * @param {Array<Array<{x, y}>>} cells
+ * @param {Array<Array<number>>} edgeNeighbours - From matchSharedEdges
+ * @returns {Array<number>}
+ */
+function outlineVertexCounts(cells, edgeNeighbours) {
+  return cells.map((cell, i) => {
+    const across = edgeNeighbours[i] || [];
+    if (!cell || across.length === 0) return 0;
+    return cell.filter((_, k) => across[k] < 0 || across[(k - 1 + cell.length) % cell.length] < 0).length;
+  });
 }
 
 /**
  * Generate puzzle fragments from a leaf outline.
  *
  * @param {Array<{x: number, y: number}>} outline - Leaf outline polygon
- * @param {'easy' | 'medium' | 'hard'} difficulty - Difficulty level
+ * @param {'easy' | 'medium' | 'hard' | 'expert'} difficulty - Difficulty level
  * @param {number} [seed] - Optional random seed for reproducibility
- * @returns {Array<Fragment>} Array of fragment objects
+ * @param {object} [options]
+ * @param {number} [options.pieceCount] - Custom piece count, overriding the difficulty's
+ * @param {keyof TEAR_JAGGEDNESS} [options.jaggedness] - How rough the tear lines are
+ * @param {keyof FRACTURE_STYLES} [options.style] - How the leaf is cut up
+ * @param {Array<Array<{x: number, y: number}>>} [options.veins] - Species vein polylines
+ * @param {keyof VEIN_MODES} [options.veinMode] - How tears relate to the veins (Voronoi only)
+ * @param {{x: number, y: number}} [options.impact] - Leaf-local impact point (radial shatter)
+ * @returns {Array<Fragment>} Array of fragment objects, which tile the outline
+ *   exactly. The array's `validation` property holds the TilingReport for
+ *   the cut (see tiling.js), plus how many attempts, merges and splits it took
+ *   and how many edge pieces (fragments with part of the leaf margin) it made.
  */
-export function generateFragments(outline, difficulty = 'medium', seed) {
-  const n = PIECE_COUNTS[difficulty] || PIECE_COUNTS.medium;
+export function generateFragments(outline, difficulty = 'medium', seed, options = {}) {
+  const { jaggedness = 'torn', style = 'voronoi', pieceCount } = options;
+  const n = pieceCountFor(difficulty, pieceCount);
   const rng = seed != null ? mulberry32(seed) : Math.random;
+  const fractureStyle = FRACTURE_STYLES[style] || FRACTURE_STYLES.voronoi;
 
-  // Generate seed points inside the leaf
-  let seeds = randomPointsInPolygon(outline, n, rng);
-
-  // If we didn't get enough points (very small/thin leaf), pad with what we have
-  if (seeds.length < 3) {
-    const bounds = polygonBounds(outline);
-    const cx = (bounds.minX + bounds.maxX) / 2;
-    const cy = (bounds.minY + bounds.maxY) / 2;
-    seeds = [
-      { x: cx, y: cy },
-      { x: cx - 20, y: cy - 20 },
-      { x: cx + 20, y: cy + 20 },
-    ];
+  // Cut the outline into cells and even them out; if that can't meet the
+  // tiling rules, cut again from further along the same seeded stream
+  let best = null;
+  for (let attempt = 0; attempt < MAX_CUT_ATTEMPTS; attempt++) {
+    const { cells: cut } = fractureStyle.cut(outline, n, rng, options);
+    const { cells, merges, splits } = rebalanceCells(splitAtTJunctions(cut), n);
+    const report = validateTiling(cells, outline, n);
+    report.attempts = attempt + 1;
+    report.merges = merges;
+    report.splits = splits;
+    if (!best || report.problems.length < best.report.problems.length) best = { cells, report };
+    if (report.ok) break;
   }
+  const { cells, report } = best;
+  const edgeNeighbours = matchSharedEdges(cells);
+  const neighbours = neighboursFromEdges(edgeNeighbours);
+  const marginCounts = outlineVertexCounts(cells, edgeNeighbours);
 
-  // Lloyd relaxation for more even cell sizes
-  seeds = lloydRelax(seeds, outline, 2);
-
-  // Compute Voronoi cells clipped to leaf outline
-  const cells = computeVoronoiCells(seeds, outline);
+  // Tear each shared edge once, so neighbouring fragments interlock exactly
+  const torn = tearSharedEdges(
+    cells,
+    edgeNeighbours,
+    TEAR_JAGGEDNESS[jaggedness] ?? TEAR_JAGGEDNESS.torn,
+    rng
+  );
 
   // Build fragment objects
-  const totalArea = Math.abs(polygonArea(outline));
-  const fragments = [];
-
-  for (let i = 0; i < cells.length; i++) {
-    let cell = cells[i];
-    if (!cell || cell.length < 3) continue;
-
-    const cellArea = Math.abs(polygonArea(cell));
-    // Skip degenerate fragments (< 1% of total area)
-    if (cellArea < totalArea * 0.01) continue;
-
-    // Add subtle torn edge noise
-    cell = addTornEdgeNoise(cell, 2, 1);
-
+  const fragments = torn.map((cell, i) => {
     const centroid = polygonCentroid(cell);
-
-    fragments.push({
+    return {
       id: i,
       polygon: cell,
       centroid,
@@ -122,63 +265,125 @@ export function generateFragments(outline, difficulty = 'medium', seed) {
       currentPosition: { x: 0, y: 0 }, // Set during scatter
       rotation: 0,
       isPlaced: false,
+      inTray: false, // put away in the piece tray, off the board
+      isEdge: marginCounts[i] > 0, // has part of the leaf margin
+      outlineVertices: marginCounts[i], // how many of its vertices lie on the margin
       zIndex: i,
-    });
-  }
+      neighbours: neighbours[i],
+      clusterId: i, // fragments joined off-board share a clusterId
+    };
+  });
 
+  report.edgePieces = fragments.filter((f) => f.isEdge).length;
+  fragments.validation = report;
   return fragments;
 }
 
 /**
- * Scatter fragments around the play area (outside the central puzzle zone).
+ * "Blow away" some fragments before scatter, for missing-piece mode.
+ * Always leaves at least two pieces on the board.
+ *
+ * @param {Array<Fragment>} fragments
+ * @param {number} count - Number of fragments to remove
+ * @param {() => number} [rng] - Random source
+ * @returns {{remaining: Array<Fragment>, missing: Array<Fragment>}}
+ */
+export function blowAwayFragments(fragments, count, rng = Math.random) {
+  const remaining = [...fragments];
+  const missing = [];
+  const n = Math.min(count, Math.max(0, fragments.length - 2));
+
+  for (let i = 0; i < n; i++) {
+    const [frag] = remaining.splice(Math.floor(rng() * remaining.length), 1);
+    missing.push(frag);
+  }
+
+  return { remaining, missing };
+}
+
+/**
+ * Scatter fragments around the play area without overlap: each piece is
+ * turned first, then packed by its turned bounds into a free spot clear of
+ * the leaf's own spot (seeded tries first, so it still looks scattered).
  *
  * @param {Array<Fragment>} fragments
- * @param {number} canvasWidth
+ * @param {number} canvasWidth - Width of the area to scatter over, from 0
  * @param {number} canvasHeight
- * @param {{x: number, y: number}} leafCenter - Center of the assembled leaf on canvas
- * @param {number} scale - Scale factor for fragment coordinates
+ * @param {{x: number, y: number}} leafCenter - Center of the assembled leaf in that area
+ * @param {number} scale - Scale factor for fragment coordinates (1 to work in leaf units)
+ * @param {() => number} [rng] - Random source; pass a seeded one for reproducible layouts
+ * @param {'quarter' | 'free'} [rotationMode] - Starting rotations: quarter turns or any angle
+ * @returns {Array<Fragment>} fragments that found no free spot (dropped at random instead)
  */
-export function scatterFragments(fragments, canvasWidth, canvasHeight, leafCenter, scale = 1) {
+export function scatterFragments(
+  fragments,
+  canvasWidth,
+  canvasHeight,
+  leafCenter,
+  scale = 1,
+  rng = Math.random,
+  rotationMode = 'quarter'
+) {
   const padding = 15; // Extra padding from canvas edge
-  const avoidRadius = 120; // Keep fragments away from leaf center initially
-
-  for (let i = 0; i < fragments.length; i++) {
-    const frag = fragments[i];
-    let x, y;
-    let attempts = 0;
-
-    // Calculate fragment bounds in canvas space
-    const bounds = polygonBounds(frag.polygon);
-    const halfW = ((bounds.maxX - bounds.minX) / 2) * scale;
-    const halfH = ((bounds.maxY - bounds.minY) / 2) * scale;
-
-    // Compute valid scatter range ensuring entire fragment stays visible
-    const minX = halfW + padding;
-    const maxX = canvasWidth - halfW - padding;
-    const minY = halfH + padding;
-    const maxY = canvasHeight - halfH - padding;
-
-    // Find a position that's not too close to the center
-    do {
-      x = minX + Math.random() * Math.max(0, maxX - minX);
-      y = minY + Math.random() * Math.max(0, maxY - minY);
-      attempts++;
-    } while (
-      attempts < 50 &&
-      Math.abs(x - leafCenter.x) < avoidRadius &&
-      Math.abs(y - leafCenter.y) < avoidRadius
-    );
-
-    frag.currentPosition = { x, y };
-
-    // Random rotation in 90° increments (feels like real puzzle pieces)
-    const rotations = [0, Math.PI / 2, Math.PI, (3 * Math.PI) / 2];
-    frag.rotation = rotations[Math.floor(Math.random() * rotations.length)];
+  const area = {
+    minX: padding,
+    minY: padding,
+    maxX: canvasWidth - padding,
+    maxY: canvasHeight - padding,
+  };
+
+  // Keep the leaf's own spot (the ghost outline) clear
+  const leaf = polygonBounds(fragments.flatMap((f) => f.polygon));
+  const leafBox = {
+    minX: leafCenter.x + leaf.minX * scale,
+    minY: leafCenter.y + leaf.minY * scale,
+    maxX: leafCenter.x + leaf.maxX * scale,
+    maxY: leafCenter.y + leaf.maxY * scale,
+  };
 
+  fragments.forEach((frag, i) => {
+    if (rotationMode === 'free') {
+      frag.rotation = rng() * Math.PI * 2;
+    } else {
+      // Random rotation in 90° increments (feels like real puzzle pieces)
+      const rotations = [0, Math.PI / 2, Math.PI, (3 * Math.PI) / 2];
+      frag.rotation = rotations[Math.floor(rng() * rotations.length)];
+    }
+    frag.currentPosition = { x: leafCenter.x, y: leafCenter.y };
     frag.zIndex = i;
+  });
+
+  const { moves, overflow } = packGroups(
+    fragments.map((f) => [f]),
+    scale,
+    area,
+    [leafBox],
+    { rng, gap: 8 }
+  );
+  for (const { members, dx, dy } of moves) {
+    const [frag] = members;
+    frag.currentPosition = { x: frag.currentPosition.x + dx, y: frag.currentPosition.y + dy };
   }
 
-  return fragments;
+  // No room left: drop the rest anywhere on the board
+  const unplaced = overflow.map(([frag]) => frag);
+  for (const frag of unplaced) {
+    frag.currentPosition = {
+      x: area.minX + rng() * (area.maxX - area.minX),
+      y: area.minY + rng() * (area.maxY - area.minY),
+    };
+  }
+  return unplaced;
+}
+
+/**
+ * Normalize an angle to (-π, π], i.e. its signed difference from 0.
+ */
+export function normalizeAngle(angle) {
+  let a = angle % (Math.PI * 2);
+  if (a <= -Math.PI) a += Math.PI * 2;
+  if (a > Math.PI) a -= Math.PI * 2;
+  return a;
 }
 
 /**
@@ -188,35 +393,58 @@ export function scatterFragments(fragments, canvasWidth, canvasHeight, leafCente
  * @param {{x: number, y: number}} leafOrigin - Top-left of leaf's coordinate system on canvas
  * @param {number} snapDistance - Maximum distance for snap (pixels)
  * @param {number} snapAngle - Maximum angle error for snap (radians)
+ * @param {number} [scale] - Scale factor for fragment coordinates
  * @returns {boolean}
  */
-export function checkSnap(fragment, leafOrigin, snapDistance = 35, snapAngle = 0.4) {
+export function checkSnap(fragment, leafOrigin, snapDistance = 35, snapAngle = 0.4, scale = 1) {
   // Target position in canvas space
-  const targetX = leafOrigin.x + fragment.centroid.x;
-  const targetY = leafOrigin.y + fragment.centroid.y;
+  const targetX = leafOrigin.x + fragment.centroid.x * scale;
+  const targetY = leafOrigin.y + fragment.centroid.y * scale;
 
   const dx = fragment.currentPosition.x - targetX;
   const dy = fragment.currentPosition.y - targetY;
   const distance = Math.sqrt(dx * dx + dy * dy);
 
-  // Normalize rotation to [0, 2π)
-  let rot = fragment.rotation % (Math.PI * 2);
-  if (rot < 0) rot += Math.PI * 2;
-
-  // Check if rotation is close to 0 (or 2π)
-  const angleOk = rot < snapAngle || rot > Math.PI * 2 - snapAngle;
+  // Rotation must be within ±snapAngle of upright
+  const angleOk = Math.abs(normalizeAngle(fragment.rotation)) <= snapAngle;
 
   return distance < snapDistance && angleOk;
 }
 
+/**
+ * How close a fragment is to snapping, for live feedback while it's moved.
+ *
+ * @param {Fragment} fragment
+ * @param {{x: number, y: number}} leafOrigin
+ * @param {number} snapDistance - Distance at which it would snap (pixels)
+ * @param {number} warmDistance - Distance at which feedback starts (pixels)
+ * @param {number} snapAngle - Maximum angle error for snap (radians)
+ * @param {number} [scale]
+ * @returns {{warmth: number, inPosition: boolean, angleOk: boolean}}
+ *   warmth rises from 0 at warmDistance to 1 at snapDistance
+ */
+export function snapProximity(fragment, leafOrigin, snapDistance, warmDistance, snapAngle, scale = 1) {
+  const dx = fragment.currentPosition.x - (leafOrigin.x + fragment.centroid.x * scale);
+  const dy = fragment.currentPosition.y - (leafOrigin.y + fragment.centroid.y * scale);
+  const distance = Math.sqrt(dx * dx + dy * dy);
+  const warmth = Math.min(1, Math.max(0, (warmDistance - distance) / (warmDistance - snapDistance)));
+
+  return {
+    warmth,
+    inPosition: distance < snapDistance,
+    angleOk: Math.abs(normalizeAngle(fragment.rotation)) <= snapAngle,
+  };
+}
+
 /**
  * Snap a fragment into its correct position.
  */
-export function snapFragment(fragment, leafOrigin) {
+export function snapFragment(fragment, leafOrigin, scale = 1) {
   fragment.currentPosition = {
-    x: leafOrigin.x + fragment.centroid.x,
-    y: leafOrigin.y + fragment.centroid.y,
+    x: leafOrigin.x + fragment.centroid.x * scale,
+    y: leafOrigin.y + fragment.centroid.y * scale,
   };
   fragment.rotation = 0;
   fragment.isPlaced = true;
+  fragment.inTray = false;
 }
@@ -0,0 +1,400 @@
+/**
+ * Fracture styles: different ways of cutting a leaf outline into cells.
+ *
+ * Each style's `cut(outline, n, rng, options)` returns `{ cells }` — polygons
+ * in leaf-local coordinates that tile the outline, all with the outline's
+ * winding. `generateFragments` handles everything after the cut (evening
+ * out piece sizes, shared tears, neighbours, the Fragment shape), so every
+ * style plays the same in PuzzleCanvas.
+ */
+
+import {
+  randomPointsInPolygon,
+  lloydRelax,
+  computeVoronoiCells,
+  clipPolygonByLine,
+  splitByLine,
+  absArea,
+  principalAxis,
+  polygonCentroid,
+  polygonArea,
+  polygonBounds,
+  pointInPolygon,
+  dist,
+} from './geometry';
+
+// ─── Voronoi (with optional vein bias) ──────────────────────────────
+
+/**
+ * Vein-aware fracture modes (Voronoi style only), keyed by id.
+ * `code` is the mode's number in puzzle codes: fixed once given out, so
+ * shared codes keep meaning the same tear. At expert counts `along` and
+ * `across` lay their seeds on a grid instead (see veinGridSeeds).
+ */
+export const VEIN_MODES = {
+  // Seeds are scattered at random and relaxed (plain Voronoi)
+  ignore: { code: 0, label: 'Anywhere' },
+  // Seeds are mirrored in pairs across the veins, so the bisector between
+  // each pair (and therefore the tear) runs down the vein
+  along: {
+    code: 1,
+    label: 'Along veins',
+    description: 'Tears follow the midrib and veins, like a real leaf',
+  },
+  // Seeds are strung out along the veins, so bisectors between
+  // consecutive seeds cut straight across them
+  across: { code: 2, label: 'Across veins', description: 'Tears cut across the veins' },
+};
+
+/** Pick a point on a set of polylines, uniformly by length, with its unit tangent. */
+function samplePolylines(segments, totalLength, rng) {
+  let r = rng() * totalLength;
+  for (const { a, b, length } of segments) {
+    if (r <= length) {
+      const t = r / length;
+      return {
+        point: { x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t },
+        tangent: { x: (b.x - a.x) / length, y: (b.y - a.y) / length },
+      };
+    }
+    r -= length;
+  }
+  return null;
+}
+
+// From this many pieces (expert counts) vein seeds are laid on a grid; the
+// veins can't hold that many seeds, and the evening out would undo the rest
+const VEIN_GRID_FROM = 50;
+const VEIN_GRID_STRETCH = 2; // grid cells are this many times longer one way
+const VEIN_GRID_JITTER = 0.35; // of a grid step, either way
+
+/**
+ * Voronoi seeds on a jittered grid turned to the midrib (the first vein),
+ * its cells stretched along it (`along`, so most tears run with the
+ * midrib) or across it (`across`). An even grid needs little evening out
+ * afterwards. Returns at most n seeds; callers top up.
+ */
+function veinGridSeeds(outline, midrib, n, mode, rng) {
+  const start = midrib[0];
+  const end = midrib[midrib.length - 1];
+  const length = dist(start, end) || 1;
+  const u = { x: (end.x - start.x) / length, y: (end.y - start.y) / length };
+  const v = { x: -u.y, y: u.x };
+  const along = outline.map((p) => p.x * u.x + p.y * u.y);
+  const across = outline.map((p) => p.x * v.x + p.y * v.y);
+  const [uMin, uMax] = [Math.min(...along), Math.max(...along)];
+  const [vMin, vMax] = [Math.min(...across), Math.max(...across)];
+  const stretch = Math.sqrt(mode === 'along' ? VEIN_GRID_STRETCH : 1 / VEIN_GRID_STRETCH);
+  const phase = { u: rng(), v: rng() };
+
+  // Size the grid to the leaf, then resize it until about n seeds land inside
+  let step = Math.sqrt(Math.abs(polygonArea(outline)) / n);
+  let seeds = [];
+  for (let pass = 0; pass < 4; pass++) {
+    const du = step * stretch;
+    const dv = step / stretch;
+    seeds = [];
+    for (let row = 0, t = vMin + dv * phase.v; t < vMax; row++, t += dv) {
+      // Alternate rows shift by half a cell, like brickwork
+      for (let s = uMin + du * (phase.u + (row % 2) / 2); s < uMax; s += du) {
+        const a = s + (rng() - 0.5) * 2 * VEIN_GRID_JITTER * du;
+        const b = t + (rng() - 0.5) * 2 * VEIN_GRID_JITTER * dv;
+        const p = { x: u.x * a + v.x * b, y: u.y * a + v.y * b };
+        if (pointInPolygon(p, outline)) seeds.push(p);
+      }
+    }
+    if (Math.abs(seeds.length - n) <= n * 0.05) break;
+    step *= Math.sqrt(seeds.length / n);
+  }
+
+  while (seeds.length > n) seeds.splice(Math.floor(rng() * seeds.length), 1);
+  return seeds;
+}
+
+/**
+ * Generate Voronoi seeds biased by the leaf's veins.
+ * Returns fewer than n seeds if the veins don't leave room; callers top up.
+ */
+function veinSeeds(outline, veins, n, mode, rng) {
+  if (n >= VEIN_GRID_FROM) return veinGridSeeds(outline, veins[0], n, mode, rng);
+
+  const segments = [];
+  for (const vein of veins) {
+    for (let i = 0; i < vein.length - 1; i++) {
+      const length = dist(vein[i], vein[i + 1]);
+      if (length > 0) segments.push({ a: vein[i], b: vein[i + 1], length });
+    }
+  }
+  const totalLength = segments.reduce((sum, seg) => sum + seg.length, 0);
+  if (totalLength === 0) return [];
+
+  // Typical spacing between seeds for n roughly equal cells
+  const spacing = Math.sqrt(Math.abs(polygonArea(outline)) / n);
+  const minGap = spacing * 0.45;
+  const seeds = [];
+  const fits = (p) =>
+    pointInPolygon(p, outline) && seeds.every((q) => dist(p, q) >= minGap);
+
+  for (let attempts = 0; seeds.length < n && attempts < n * 60; attempts++) {
+    const sample = samplePolylines(segments, totalLength, rng);
+    if (!sample) break;
+    const { point, tangent } = sample;
+
+    if (mode === 'along') {
+      // A mirrored pair either side of the vein; their bisector is the vein itself
+      if (seeds.length + 2 > n) break;
+      const d = spacing * (0.35 + rng() * 0.2);
+      const left = { x: point.x - tangent.y * d, y: point.y + tangent.x * d };
+      const right = { x: point.x + tangent.y * d, y: point.y - tangent.x * d };
+      if (fits(left) && fits(right) && dist(left, right) >= minGap) seeds.push(left, right);
+    } else if (fits(point)) {
+      seeds.push(point);
+    }
+  }
+
+  return seeds;
+}
+
+/** Random seeds, Lloyd relaxation, Voronoi cells. */
+function voronoiCut(outline, n, rng, { veins = [], veinMode = 'ignore' } = {}) {
+  const followVeins = veinMode !== 'ignore' && veins.length > 0;
+
+  // Generate seed points inside the leaf (biased by the veins if asked)
+  let seeds = followVeins ? veinSeeds(outline, veins, n, veinMode, rng) : [];
+  if (seeds.length < n) {
+    seeds = seeds.concat(randomPointsInPolygon(outline, n - seeds.length, rng));
+  }
+
+  // If we didn't get enough points (very small/thin leaf), pad with what we have
+  if (seeds.length < 3) {
+    const bounds = polygonBounds(outline);
+    const cx = (bounds.minX + bounds.maxX) / 2;
+    const cy = (bounds.minY + bounds.maxY) / 2;
+    seeds = [
+      { x: cx, y: cy },
+      { x: cx - 20, y: cy - 20 },
+      { x: cx + 20, y: cy + 20 },
+    ];
+  }
+
+  // Lloyd relaxation for more even cell sizes (skipped for vein modes, where
+  // it would drag the seeds off their veins)
+  if (!followVeins) {
+    seeds = lloydRelax(seeds, outline, 2);
+  }
+
+  // Compute Voronoi cells clipped to leaf outline
+  return { cells: computeVoronoiCells(seeds, outline) };
+}
+
+// ─── Radial shatter ─────────────────────────────────────────────────
+
+/**
+ * Shatter outward from an impact point: wedges between jittered rays,
+ * with an inner ring of smaller shards once there are enough pieces.
+ * The inner ring's corners sit on the outer rays, so each outer wedge is
+ * cut by exactly one straight chord.
+ */
+function radialCut(outline, n, rng, { impact } = {}) {
+  const centre = impact && pointInPolygon(impact, outline) ? impact : polygonCentroid(outline);
+  const inner = n > 7 ? Math.max(3, Math.round(n * 0.3)) : 0;
+  const outer = n - inner;
+
+  const rays = (count) => {
+    const offset = rng() * Math.PI * 2;
+    return Array.from({ length: count }, (_, k) => {
+      const jitter = (rng() - 0.5) * 0.35;
+      return offset + ((k + jitter) / count) * Math.PI * 2;
+    });
+  };
+  const dirOf = (angle) => ({ x: Math.cos(angle), y: Math.sin(angle) });
+
+  // Region between two rays (counter-clockwise from a1 to a2, span < π)
+  const wedge = (polygon, a1, a2) => {
+    const [afterFirst] = splitByLine(polygon, centre, dirOf(a1));
+    const [, beforeSecond] = splitByLine(afterFirst, centre, dirOf(a2));
+    return beforeSecond;
+  };
+
+  const outerAngles = rays(outer);
+  let ringRadius = 0;
+  if (inner > 0) {
+    const bounds = polygonBounds(outline);
+    ringRadius = Math.min(bounds.maxX - bounds.minX, bounds.maxY - bounds.minY) * 0.22;
+  }
+  // Corners on one circle keep the ring convex, so clipping by its chords is exact
+  const r = ringRadius * (0.8 + rng() * 0.4);
+  const ringCorners = outerAngles.map((a) => ({
+    x: centre.x + Math.cos(a) * r,
+    y: centre.y + Math.sin(a) * r,
+  }));
+
+  const cells = [];
+  for (let k = 0; k < outer; k++) {
+    const a1 = outerAngles[k];
+    const a2 = k + 1 < outer ? outerAngles[k + 1] : outerAngles[0] + Math.PI * 2;
+    let cell = wedge(outline, a1, a2);
+    if (inner > 0) {
+      // Keep only the part beyond this wedge's chord of the inner ring
+      const p = ringCorners[k];
+      const q = ringCorners[(k + 1) % outer];
+      cell = clipPolygonByLine(cell, q, p);
+    }
+    cells.push(cell);
+  }
+
+  if (inner > 0) {
+    // The inner ring, clipped chord by chord from the outline
+    let core = outline;
+    for (let k = 0; k < outer; k++) {
+      core = clipPolygonByLine(core, ringCorners[k], ringCorners[(k + 1) % outer]);
+    }
+    const innerAngles = rays(inner);
+    for (let k = 0; k < inner; k++) {
+      const a1 = innerAngles[k];
+      const a2 = k + 1 < inner ? innerAngles[k + 1] : innerAngles[0] + Math.PI * 2;
+      cells.push(wedge(core, a1, a2));
+    }
+  }
+
+  return { cells: cells.filter((c) => absArea(c) > 0) };
+}
+
+// ─── Strip tears ────────────────────────────────────────────────────
+
+/**
+ * Parallel-ish torn bands: n − 1 cuts across the leaf, each slightly
+ * tilted, placed so the strips have roughly equal area. Cutting the
+ * remainder one line at a time guarantees an exact tiling even if two
+ * neighbouring lines happen to cross.
+ */
+function stripsCut(outline, n, rng) {
+  const angle = rng() * Math.PI;
+  const along = { x: Math.cos(angle), y: Math.sin(angle) };
+  const across = { x: -along.y, y: along.x };
+  const totalArea = absArea(outline);
+
+  // Extent of the leaf measured across the strips
+  const offsets = outline.map((p) => p.x * across.x + p.y * across.y);
+  const lo = Math.min(...offsets);
+  const hi = Math.max(...offsets);
+
+  // Thin strips tilt less, or neighbouring cuts would cross inside the leaf
+  const maxTilt = Math.min(0.12, 2 / n);
+
+  const cells = [];
+  let remaining = outline;
+  let cutArea = 0;
+  for (let k = 1; k < n; k++) {
+    const tilt = (rng() - 0.5) * maxTilt;
+    const dir = {
+      x: along.x * Math.cos(tilt) - along.y * Math.sin(tilt),
+      y: along.x * Math.sin(tilt) + along.y * Math.cos(tilt),
+    };
+    const target = (totalArea * (k + (rng() - 0.5) * 0.3)) / n - cutArea;
+
+    // Binary search for the offset that cuts `target` area off what's left
+    // (searching the shrinking remainder, not the whole leaf, keeps big
+    // puzzles quick)
+    let a = lo;
+    let b = hi;
+    let split = null;
+    for (let iter = 0; iter < 30; iter++) {
+      const mid = (a + b) / 2;
+      const point = { x: across.x * mid, y: across.y * mid };
+      const halves = splitByLine(remaining, point, dir);
+      if (absArea(halves[1]) < target) {
+        a = mid;
+        split = halves;
+      } else {
+        b = mid;
+      }
+    }
+    if (!split) continue;
+    const [ahead, behind] = split;
+    cells.push(behind);
+    cutArea += absArea(behind);
+    remaining = ahead;
+  }
+  cells.push(remaining);
+
+  return { cells: cells.filter((c) => absArea(c) > 0) };
+}
+
+// ─── Hand tear (recursive bisection) ────────────────────────────────
+
+/**
+ * The way you'd tear a leaf by hand: keep ripping the biggest piece
+ * roughly in half, across its long axis, until there are n pieces.
+ */
+function handTearCut(outline, n, rng) {
+  const cells = [outline];
+
+  while (cells.length < n) {
+    // Tear the largest remaining piece
+    let largest = 0;
+    cells.forEach((c, i) => {
+      if (absArea(c) > absArea(cells[largest])) largest = i;
+    });
+    const piece = cells[largest];
+    const centre = polygonCentroid(piece);
+    const axis = principalAxis(piece);
+
+    let split = null;
+    for (let attempt = 0; attempt < 8 && !split; attempt++) {
+      // Across the long axis, with a hand-like wobble in angle and position
+      const wobble = (rng() - 0.5) * 0.8;
+      const dir = {
+        x: -axis.y * Math.cos(wobble) - axis.x * Math.sin(wobble),
+        y: -axis.y * Math.sin(wobble) + axis.x * Math.cos(wobble),
+      };
+      const shift = (rng() - 0.5) * Math.sqrt(absArea(piece)) * 0.3;
+      const point = { x: centre.x + axis.x * shift, y: centre.y + axis.y * shift };
+      const [left, right] = splitByLine(piece, point, dir);
+      const smaller = Math.min(absArea(left), absArea(right));
+      if (smaller > absArea(piece) * 0.2) split = [left, right];
+    }
+    if (!split) break;
+
+    cells.splice(largest, 1, ...split);
+  }
+
+  return { cells };
+}
+
+// ─── Registry ───────────────────────────────────────────────────────
+
+/**
+ * Available fracture styles, keyed by id.
+ * `code` is the style's number in puzzle codes: fixed once given out (never
+ * reused or renumbered), so shared codes keep cutting the same way.
+ * `needsImpact` styles wait for the player to tap the leaf before cutting.
+ */
+export const FRACTURE_STYLES = {
+  voronoi: {
+    code: 0,
+    label: 'Scattered',
+    description: 'Irregular pieces from relaxed Voronoi cells',
+    usesVeins: true,
+    cut: voronoiCut,
+  },
+  radial: {
+    code: 1,
+    label: 'Shatter',
+    description: 'Tap the leaf and it shatters outward from that point',
+    needsImpact: true,
+    cut: radialCut,
+  },
+  strips: {
+    code: 2,
+    label: 'Strips',
+    description: 'Parallel-ish torn bands',
+    cut: stripsCut,
+  },
+  handTear: {
+    code: 3,
+    label: 'Hand torn',
+    description: 'Torn in half, and in half again, like on the park bench',
+    cut: handTearCut,
+  },
+};
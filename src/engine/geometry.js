@@ -137,6 +137,35 @@ export function clipPolygonByLine(polygon, lineA, lineB) {
   return output;
 }
 
+/** Split a polygon by the line through `point` along `dir`: [left side, right side]. */
+export function splitByLine(polygon, point, dir) {
+  const a = point;
+  const b = { x: point.x + dir.x, y: point.y + dir.y };
+  return [clipPolygonByLine(polygon, a, b), clipPolygonByLine(polygon, b, a)];
+}
+
+/** Unsigned area of a polygon (0 for anything with fewer than 3 vertices). */
+export function absArea(poly) {
+  return poly.length >= 3 ? Math.abs(polygonArea(poly)) : 0;
+}
+
+/** Direction of a polygon's longest axis (principal component of its vertices). */
+export function principalAxis(poly) {
+  const c = polygonCentroid(poly);
+  let xx = 0;
+  let xy = 0;
+  let yy = 0;
+  for (const p of poly) {
+    const dx = p.x - c.x;
+    const dy = p.y - c.y;
+    xx += dx * dx;
+    xy += dx * dy;
+    yy += dy * dy;
+  }
+  const theta = 0.5 * Math.atan2(2 * xy, xx - yy);
+  return { x: Math.cos(theta), y: Math.sin(theta) };
+}
+
 /** Check if point is on the left side of directed edge from a to b. */
 function isInside(point, a, b) {
   return (b.x - a.x) * (point.y - a.y) - (b.y - a.y) * (point.x - a.x) >= 0;
@@ -194,9 +223,98 @@ export function lloydRelax(seeds, polygon, iterations = 2) {
   return current;
 }
 
+/**
+ * Delaunay triangulation (Bowyer–Watson): insert points one at a time into
+ * a huge enclosing triangle, re-triangulating the hole left by every
+ * triangle whose circumcircle contains the new point.
+ *
+ * @returns {Array<[number, number, number]>} triangles as point indices,
+ *   including those that touch the enclosing triangle's corners (indices
+ *   n, n+1, n+2) so hull points still see each other
+ */
+function delaunayTriangles(points) {
+  const n = points.length;
+  const bounds = polygonBounds(points);
+  const cx = (bounds.minX + bounds.maxX) / 2;
+  const cy = (bounds.minY + bounds.maxY) / 2;
+  const size = Math.max(bounds.maxX - bounds.minX, bounds.maxY - bounds.minY, 1) * 20;
+  const pts = [
+    ...points,
+    { x: cx - size, y: cy - size },
+    { x: cx + size, y: cy - size },
+    { x: cx, y: cy + size },
+  ];
+
+  const makeTriangle = (a, b, c) => {
+    const A = pts[a];
+    const B = pts[b];
+    const C = pts[c];
+    const d = 2 * (A.x * (B.y - C.y) + B.x * (C.y - A.y) + C.x * (A.y - B.y));
+    if (Math.abs(d) < 1e-12) return null;
+    const a2 = A.x * A.x + A.y * A.y;
+    const b2 = B.x * B.x + B.y * B.y;
+    const c2 = C.x * C.x + C.y * C.y;
+    const ux = (a2 * (B.y - C.y) + b2 * (C.y - A.y) + c2 * (A.y - B.y)) / d;
+    const uy = (a2 * (C.x - B.x) + b2 * (A.x - C.x) + c2 * (B.x - A.x)) / d;
+    return { v: [a, b, c], ux, uy, r2: (A.x - ux) ** 2 + (A.y - uy) ** 2 };
+  };
+
+  let triangles = [makeTriangle(n, n + 1, n + 2)];
+  for (let i = 0; i < n; i++) {
+    const p = pts[i];
+    const bad = [];
+    const keep = [];
+    for (const t of triangles) {
+      if ((p.x - t.ux) ** 2 + (p.y - t.uy) ** 2 < t.r2) bad.push(t);
+      else keep.push(t);
+    }
+    if (bad.length === 0) continue; // duplicate point — already a vertex
+
+    // The hole's boundary: edges belonging to exactly one bad triangle
+    const edges = new Map();
+    for (const { v } of bad) {
+      for (let k = 0; k < 3; k++) {
+        const a = v[k];
+        const b = v[(k + 1) % 3];
+        const key = a < b ? `${a}-${b}` : `${b}-${a}`;
+        edges.set(key, edges.has(key) ? null : [a, b]);
+      }
+    }
+    for (const edge of edges.values()) {
+      if (!edge) continue;
+      const t = makeTriangle(edge[0], edge[1], i);
+      if (t) keep.push(t);
+    }
+    triangles = keep;
+  }
+
+  return triangles.map((t) => t.v);
+}
+
+/**
+ * Each point's Delaunay neighbours — the only seeds whose bisectors can
+ * bound its Voronoi cell.
+ */
+export function delaunayNeighbours(points) {
+  const neighbours = points.map(() => new Set());
+  for (const tri of delaunayTriangles(points)) {
+    for (let k = 0; k < 3; k++) {
+      const a = tri[k];
+      const b = tri[(k + 1) % 3];
+      if (a < points.length && b < points.length) {
+        neighbours[a].add(b);
+        neighbours[b].add(a);
+      }
+    }
+  }
+  return neighbours.map((set) => [...set]);
+}
+
 /**
  * Compute Voronoi cells for seeds clipped to a bounding polygon.
- * Uses half-plane intersection method.
+ * Uses half-plane intersection against each seed's Delaunay neighbours,
+ * so a cell takes a handful of clips rather than one per seed — quick
+ * enough for a couple of hundred pieces.
  *
  * Starts from the leaf polygon directly (rather than a bounding box),
  * then clips by each bisector half-plane. This avoids Sutherland-Hodgman
@@ -205,13 +323,16 @@ export function lloydRelax(seeds, polygon, iterations = 2) {
  */
 export function computeVoronoiCells(seeds, polygon) {
   const cells = [];
+  const neighbours = delaunayNeighbours(seeds);
 
   for (let i = 0; i < seeds.length; i++) {
     // Start with the full leaf outline — a half-plane clip on an
     // arbitrary polygon is always geometrically valid.
     let cell = [...polygon];
 
-    for (let j = 0; j < seeds.length; j++) {
+    // A seed that duplicates another gets no triangles; fall back to every seed
+    const others = neighbours[i].length > 0 ? neighbours[i] : seeds.map((_, j) => j);
+    for (const j of others) {
       if (i === j) continue;
       if (cell.length < 3) break;
 
@@ -223,10 +344,10 @@ export function computeVoronoiCells(seeds, polygon) {
       // Direction from i to j
       const dx = seeds[j].x - seeds[i].x;
       const dy = seeds[j].y - seeds[i].y;
-      // Two points on the bisector line (perpendicular to i→j, passing through mid)
-      // We want to keep the side closer to seed i
-      const lineA = { x: mid.x - dy, y: mid.y + dx };
-      const lineB = { x: mid.x + dy, y: mid.y - dx };
+      // Two points on the bisector line (perpendicular to i→j, passing through mid),
+      // ordered so that seed i is on the kept (left) side
+      const lineA = { x: mid.x + dy, y: mid.y - dx };
+      const lineB = { x: mid.x - dy, y: mid.y + dx };
 
       cell = clipPolygonByLine(cell, lineA, lineB);
     }
@@ -237,6 +358,135 @@ export function computeVoronoiCells(seeds, polygon) {
   return cells;
 }
 
+/**
+ * Turn per-edge neighbour indices into a neighbour list for each cell.
+ *
+ * @param {Array<Array<number>>} edgeNeighbours - From matchSharedEdges
+ * @returns {Array<Array<number>>} neighbour indices for each cell
+ */
+export function neighboursFromEdges(edgeNeighbours) {
+  const neighbours = edgeNeighbours.map(() => new Set());
+  edgeNeighbours.forEach((edges, i) => {
+    for (const j of edges) {
+      if (j < 0) continue;
+      neighbours[i].add(j);
+      neighbours[j].add(i);
+    }
+  });
+  return neighbours.map((set) => [...set].sort((a, b) => a - b));
+}
+
+/**
+ * Insert T-junction vertices so neighbouring cells share identical edges.
+ *
+ * When a region is cut repeatedly (as in recursive bisection), a later cut
+ * on one side of an earlier line splits that line's edge only on that side.
+ * This adds the missing vertices to the other side too, so every shared
+ * boundary is walked through the same vertices by both cells.
+ */
+export function splitAtTJunctions(cells, tolerance = 0.01) {
+  // Bucket every vertex on a grid sized so each bucket holds a few, and
+  // test each edge only against the buckets its bounding box covers
+  const all = [];
+  cells.forEach((cell, i) => cell.forEach((p) => all.push({ p, i })));
+  if (all.length === 0) return cells;
+  const bounds = polygonBounds(all.map(({ p }) => p));
+  const area = Math.max((bounds.maxX - bounds.minX) * (bounds.maxY - bounds.minY), 1);
+  const cellSize = Math.max(Math.sqrt(area / all.length) * 2, tolerance * 4);
+  const grid = new Map();
+  for (const entry of all) {
+    const key = `${Math.floor(entry.p.x / cellSize)},${Math.floor(entry.p.y / cellSize)}`;
+    if (!grid.has(key)) grid.set(key, []);
+    grid.get(key).push(entry);
+  }
+
+  return cells.map((cell, i) => {
+    if (cell.length < 3) return cell;
+    const result = [];
+    cell.forEach((a, k) => {
+      const b = cell[(k + 1) % cell.length];
+      result.push(a);
+      const dx = b.x - a.x;
+      const dy = b.y - a.y;
+      const len2 = dx * dx + dy * dy;
+      if (len2 < 1e-12) return;
+
+      const inserts = [];
+      const x0 = Math.floor((Math.min(a.x, b.x) - tolerance) / cellSize);
+      const x1 = Math.floor((Math.max(a.x, b.x) + tolerance) / cellSize);
+      const y0 = Math.floor((Math.min(a.y, b.y) - tolerance) / cellSize);
+      const y1 = Math.floor((Math.max(a.y, b.y) + tolerance) / cellSize);
+      for (let gx = x0; gx <= x1; gx++) {
+        for (let gy = y0; gy <= y1; gy++) {
+          for (const { p, i: owner } of grid.get(`${gx},${gy}`) || []) {
+            if (owner === i) continue;
+            const t = ((p.x - a.x) * dx + (p.y - a.y) * dy) / len2;
+            if (t <= 0 || t >= 1) continue;
+            const off = Math.abs((p.x - a.x) * dy - (p.y - a.y) * dx) / Math.sqrt(len2);
+            if (off > tolerance) continue;
+            if (dist(p, a) < tolerance || dist(p, b) < tolerance) continue;
+            if (inserts.some((q) => Math.abs(q.t - t) * Math.sqrt(len2) < tolerance)) continue;
+            inserts.push({ t, p });
+          }
+        }
+      }
+      inserts.sort((u, v) => u.t - v.t).forEach(({ p }) => result.push({ ...p }));
+    });
+    return result;
+  });
+}
+
+/**
+ * Find which cell lies across each edge by matching edges walked in
+ * opposite directions. Works for any partition whose cells share the same
+ * winding and identical shared edges (see splitAtTJunctions).
+ *
+ * @returns {Array<Array<number>>} for each cell, per edge (k → k+1), the
+ *   neighbouring cell index, or -1 for an outline edge
+ */
+export function matchSharedEdges(cells, minEdge = 0, tolerance = 0.01) {
+  // Bucket vertices on a coarse grid so matching stays near-linear
+  const cellSize = Math.max(tolerance * 4, 1);
+  const key = (p) => `${Math.round(p.x / cellSize)},${Math.round(p.y / cellSize)}`;
+  const byStart = new Map();
+  cells.forEach((cell, i) => {
+    cell.forEach((a, k) => {
+      const b = cell[(k + 1) % cell.length];
+      const entry = { a, b, i };
+      const bucket = key(a);
+      if (!byStart.has(bucket)) byStart.set(bucket, []);
+      byStart.get(bucket).push(entry);
+    });
+  });
+
+  const near = (p) => {
+    const cx = Math.round(p.x / cellSize);
+    const cy = Math.round(p.y / cellSize);
+    const found = [];
+    for (let ox = -1; ox <= 1; ox++) {
+      for (let oy = -1; oy <= 1; oy++) {
+        const bucket = byStart.get(`${cx + ox},${cy + oy}`);
+        if (bucket) found.push(...bucket);
+      }
+    }
+    return found;
+  };
+
+  return cells.map((cell, i) => {
+    if (cell.length < 3) return [];
+    return cell.map((a, k) => {
+      const b = cell[(k + 1) % cell.length];
+      if (dist(a, b) < minEdge) return -1;
+      const forward = near(a).filter((e) => dist(e.a, a) < tolerance && dist(e.b, b) < tolerance);
+      const reversed = near(b).filter((e) => dist(e.a, b) < tolerance && dist(e.b, a) < tolerance);
+      // Only a one-to-one pair is shared. Anything else is a zero-width
+      // spike (the leaf stem) walked out and back, maybe by two cells at once
+      if (forward.length !== 1 || reversed.length !== 1 || reversed[0].i === i) return -1;
+      return reversed[0].i;
+    });
+  });
+}
+
 /**
  * Transform a point by rotation around origin, then translate.
  */
@@ -0,0 +1,67 @@
+/**
+ * Hints: each press of Hint gives a little more away — flash the ghost,
+ * pulse a piece's slot, turn it the right way up, and finally put it in
+ * place — until the player makes progress on their own and it starts over.
+ *
+ * Every press counts against the puzzle's hint budget.
+ */
+
+import { normalizeAngle } from './fracture';
+
+export const HINT_LEVELS = ['ghost', 'target', 'rotate', 'place'];
+
+/** Hints allowed per puzzle, by difficulty. */
+export const HINT_LIMITS = {
+  easy: 8,
+  medium: 5,
+  hard: 3,
+  expert: 12,
+};
+
+export function hintLimit(difficulty) {
+  return HINT_LIMITS[difficulty] ?? HINT_LIMITS.medium;
+}
+
+/**
+ * The level the next press gives. A piece that's already the right way up
+ * skips straight from its pulsing slot to being placed.
+ *
+ * @param {number} level - How many presses since the player last made progress
+ * @param {Fragment | null} target - The piece the hint is about
+ */
+export function nextHintLevel(level, target) {
+  const name = HINT_LEVELS[Math.min(level, HINT_LEVELS.length - 1)];
+  if (name === 'rotate' && target && Math.abs(normalizeAngle(target.rotation)) < 1e-6) {
+    return 'place';
+  }
+  return name;
+}
+
+/**
+ * Which piece a hint should be about: the `preferredId` piece (held or
+ * focused) if it's still loose, otherwise the loose piece with the most
+ * neighbours already in the leaf — the easiest one to see a home for.
+ * Pieces in the tray are only picked once the board has none left.
+ *
+ * @returns {Fragment | null}
+ */
+export function hintTarget(fragments, preferredId) {
+  const allLoose = fragments.filter((f) => !f.isPlaced);
+  const preferred = allLoose.find((f) => f.id === preferredId);
+  if (preferred) return preferred;
+
+  const onBoard = allLoose.filter((f) => !f.inTray);
+  const loose = onBoard.length > 0 ? onBoard : allLoose;
+
+  const placed = new Set(fragments.filter((f) => f.isPlaced).map((f) => f.id));
+  let best = null;
+  let bestScore = -1;
+  for (const f of loose) {
+    const score = (f.neighbours || []).filter((id) => placed.has(id)).length;
+    if (score > bestScore) {
+      best = f;
+      bestScore = score;
+    }
+  }
+  return best;
+}
@@ -0,0 +1,117 @@
+/**
+ * Undo/redo history for the board.
+ *
+ * Each step stores every fragment's pose from just before the step —
+ * position, rotation, cluster, placed state and whether it's in the tray — so undoing a snap
+ * un-snaps the pieces and undoing a join splits the cluster again.
+ */
+
+const HISTORY_LIMIT = 200;
+
+/** Copy the parts of each fragment that moves, rotations and snaps change. */
+export function snapshotPoses(fragments) {
+  return fragments.map((f) => ({
+    id: f.id,
+    currentPosition: { ...f.currentPosition },
+    rotation: f.rotation,
+    isPlaced: f.isPlaced,
+    clusterId: f.clusterId,
+    inTray: !!f.inTray,
+    zIndex: f.zIndex,
+  }));
+}
+
+/**
+ * Whether two snapshots put every piece in the same place. Stacking order
+ * is ignored, so picking a piece up and dropping it where it was isn't a step.
+ */
+function samePoses(a, b) {
+  return (
+    a.length === b.length &&
+    a.every((p, i) => {
+      const q = b[i];
+      return (
+        p.id === q.id &&
+        p.currentPosition.x === q.currentPosition.x &&
+        p.currentPosition.y === q.currentPosition.y &&
+        p.rotation === q.rotation &&
+        p.isPlaced === q.isPlaced &&
+        p.clusterId === q.clusterId &&
+        p.inTray === q.inTray
+      );
+    })
+  );
+}
+
+/** Put every fragment back to its pose in `snapshot`. */
+export function restorePoses(fragments, snapshot) {
+  const byId = new Map(snapshot.map((p) => [p.id, p]));
+  for (const f of fragments) {
+    const pose = byId.get(f.id);
+    if (!pose) continue;
+    f.currentPosition = { ...pose.currentPosition };
+    f.rotation = pose.rotation;
+    f.isPlaced = pose.isPlaced;
+    f.clusterId = pose.clusterId;
+    f.inTray = pose.inTray;
+    f.zIndex = pose.zIndex;
+  }
+}
+
+/**
+ * A snapshot with every position passed through `project` — for when the
+ * board itself is rescaled (the window resized), so old steps still undo
+ * to the right places.
+ */
+export function projectPoses(snapshot, project) {
+  return snapshot.map((p) => ({ ...p, currentPosition: project(p.currentPosition) }));
+}
+
+/** Rescale every step in a history, as `projectPoses`. */
+export function projectHistory(history, project) {
+  history.past = history.past.map((s) => projectPoses(s, project));
+  history.future = history.future.map((s) => projectPoses(s, project));
+}
+
+/** An empty history: `past` holds the poses to undo to, `future` those to redo. */
+export function createHistory() {
+  return { past: [], future: [] };
+}
+
+/**
+ * Record a finished step, given the poses from before it. Does nothing if
+ * the board didn't actually change; otherwise clears anything to redo.
+ *
+ * @returns {boolean} whether a step was recorded
+ */
+export function recordStep(history, before, fragments) {
+  if (samePoses(before, snapshotPoses(fragments))) return false;
+  history.past.push(before);
+  if (history.past.length > HISTORY_LIMIT) history.past.shift();
+  history.future = [];
+  return true;
+}
+
+/**
+ * Undo the last step.
+ * @returns {boolean} whether there was anything to undo
+ */
+export function undoStep(history, fragments) {
+  const before = history.past.pop();
+  if (!before) return false;
+  history.future.push(snapshotPoses(fragments));
+  restorePoses(fragments, before);
+  return true;
+}
+
+/**
+ * Redo the last undone step.
+ * @returns {boolean} whether there was anything to redo
+ */
+export function redoStep(history, fragments) {
+  const after = history.future.pop();
+  if (!after) return false;
+  history.past.push(snapshotPoses(fragments));
+  restorePoses(fragments, after);
+  return true;
+}
@@ -0,0 +1,107 @@
+/**
+ * Board layout: finding room for pieces on the board without piling them
+ * on top of one another or on the leaf's own spot.
+ *
+ * Everything works on axis-aligned boxes around each piece (or cluster) as
+ * it's currently turned, in board coordinates.
+ */
+
+import { polygonBounds } from './geometry';
+
+const RANDOM_TRIES = 40;
+
+/** Where a fragment's outline sits on the board right now (rotated, scaled, positioned). */
+export function boardOutline(frag, scale) {
+  const cos = Math.cos(frag.rotation);
+  const sin = Math.sin(frag.rotation);
+  return frag.polygon.map((v) => {
+    const x = (v.x - frag.centroid.x) * scale;
+    const y = (v.y - frag.centroid.y) * scale;
+    return {
+      x: frag.currentPosition.x + x * cos - y * sin,
+      y: frag.currentPosition.y + x * sin + y * cos,
+    };
+  });
+}
+
+/** Bounding box of a group of fragments as they sit on the board. */
+export function clusterBounds(members, scale) {
+  return polygonBounds(members.flatMap((f) => boardOutline(f, scale)));
+}
+
+function overlaps(a, b, gap) {
+  return (
+    a.minX < b.maxX + gap &&
+    b.minX < a.maxX + gap &&
+    a.minY < b.maxY + gap &&
+    b.minY < a.maxY + gap
+  );
+}
+
+/**
+ * Find a spot for a `w` × `h` box inside `area` that overlaps none of the
+ * `taken` boxes (with `gap` to spare). With an `rng`, seeded random spots
+ * are tried first so the result looks scattered; then (or without one) the
+ * area is swept row by row, which lays pieces out tidily.
+ *
+ * @returns {{minX, minY, maxX, maxY} | null} the box, or null if nowhere fits
+ */
+export function findFreeSpot(w, h, area, taken, { rng = null, gap = 6 } = {}) {
+  const spanX = area.maxX - area.minX - w;
+  const spanY = area.maxY - area.minY - h;
+  if (spanX < 0 || spanY < 0) return null;
+
+  const boxAt = (x, y) => ({ minX: x, minY: y, maxX: x + w, maxY: y + h });
+  const fits = (box) => !taken.some((t) => overlaps(box, t, gap));
+
+  if (rng) {
+    for (let i = 0; i < RANDOM_TRIES; i++) {
+      const box = boxAt(area.minX + rng() * spanX, area.minY + rng() * spanY);
+      if (fits(box)) return box;
+    }
+  }
+
+  const step = Math.max(8, Math.min(w, h) / 2);
+  for (let y = area.minY; y <= area.minY + spanY; y += step) {
+    for (let x = area.minX; x <= area.minX + spanX; x += step) {
+      const box = boxAt(x, y);
+      if (fits(box)) return box;
+    }
+  }
+  return null;
+}
+
+/**
+ * Pack groups of fragments into `area` without overlap, biggest first,
+ * keeping clear of `obstacles`. Each group keeps its rotation and layout.
+ *
+ * @param {Array<Array<Fragment>>} groups - e.g. loose clusters
+ * @param {number} scale
+ * @param {{minX, minY, maxX, maxY}} area
+ * @param {Array<{minX, minY, maxX, maxY}>} obstacles
+ * @param {{rng?: () => number, gap?: number}} [options] - See findFreeSpot
+ * @returns {{moves: Array<{members, dx, dy}>, overflow: Array<Array<Fragment>>}}
+ *   how far to shift each group that found room, and the groups that didn't
+ */
+export function packGroups(groups, scale, area, obstacles, options = {}) {
+  const taken = [...obstacles];
+  const moves = [];
+  const overflow = [];
+  const boxed = groups.map((members) => ({ members, bounds: clusterBounds(members, scale) }));
+  boxed.sort(
+    (a, b) =>
+      (b.bounds.maxX - b.bounds.minX) * (b.bounds.maxY - b.bounds.minY) -
+      (a.bounds.maxX - a.bounds.minX) * (a.bounds.maxY - a.bounds.minY)
+  );
+
+  for (const { members, bounds } of boxed) {
+    const spot = findFreeSpot(bounds.maxX - bounds.minX, bounds.maxY - bounds.minY, area, taken, options);
+    if (!spot) {
+      overflow.push(members);
+      continue;
+    }
+    taken.push(spot);
+    moves.push({ members, dx: spot.minX - bounds.minX, dy: spot.minY - bounds.minY });
+  }
+  return { moves, overflow };
+}
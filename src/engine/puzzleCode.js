@@ -0,0 +1,137 @@
+/**
+ * Puzzle codes: a short, shareable string that pins down species,
+ * settings and seed, so the same code always rebuilds the same puzzle: the
+ * same fragments, tear edges, scatter positions and starting rotations.
+ *
+ * Format: SPECIES-D-SEED[-MODIFIERS], e.g. "OAK-M-1Z141Z3" or "OAK-M-1Z141Z3-B2"
+ *   SPECIES    species id (upper-cased)
+ *   D          difficulty letter (E / M / H / X for expert)
+ *   SEED       unsigned 32-bit seed in base 36
+ *   MODIFIERS  optional run of letter+number tokens for non-default settings
+ *              (B = pieces blown away, R1 = any-angle rotation, J = tear jaggedness,
+ *              V = vein-aware tearing, F = fracture style, X/Y = shatter point,
+ *              P = custom piece count)
+ */
+
+import { FRACTURE_STYLES, VEIN_MODES } from './fractureStyles';
+import { customPieceCount } from './fracture';
+
+/** Puzzle settings chosen in LeafSelect, before a seed is attached. */
+export const DEFAULT_SETTINGS = {
+  difficulty: 'medium',
+  pieceCount: null, // custom piece count (the slider, or fitted to the species); null = the difficulty's own
+  missingPieces: 0,
+  rotationMode: 'quarter', // quarter | free
+  tearJaggedness: 'torn', // gentle | torn | ragged
+  veinMode: 'ignore', // any VEIN_MODES id
+  fractureStyle: 'voronoi', // any FRACTURE_STYLES id
+  impactX: null, // leaf-local shatter point, once the player has tapped (radial style)
+  impactY: null,
+};
+
+const DIFFICULTY_LETTERS = {
+  easy: 'E',
+  medium: 'M',
+  hard: 'H',
+  expert: 'X',
+};
+
+/** A registry's ids listed by their fixed `code`, for encoding by index. */
+function byCode(registry) {
+  const values = [];
+  for (const [id, { code }] of Object.entries(registry)) values[code] = id;
+  return values;
+}
+
+/**
+ * Settings carried in the modifier segment, keyed by token letter.
+ * Numeric settings give a range (and an offset if they can go negative);
+ * enumerated ones list their values and are encoded by index.
+ */
+const MODIFIERS = {
+  B: { key: 'missingPieces', min: 0, max: 2 },
+  R: { key: 'rotationMode', values: ['quarter', 'free'] },
+  J: { key: 'tearJaggedness', values: ['gentle', 'torn', 'ragged'] },
+  V: { key: 'veinMode', values: byCode(VEIN_MODES) },
+  F: { key: 'fractureStyle', values: byCode(FRACTURE_STYLES) },
+  X: { key: 'impactX', min: -250, max: 250, offset: 250 },
+  Y: { key: 'impactY', min: -250, max: 250, offset: 250 },
+  P: { key: 'pieceCount', min: 3, max: 200 },
+};
+
+function modifierToNumber({ values, offset = 0 }, value) {
+  return values ? values.indexOf(value) : Math.round(value) + offset;
+}
+
+function numberToModifier({ values, min, max, offset = 0 }, n) {
+  if (values) return values[n];
+  const value = n - offset;
+  return value >= min && value <= max ? value : undefined;
+}
+
+/** A fresh unsigned 32-bit seed. */
+export function randomSeed() {
+  return Math.floor(Math.random() * 0x100000000) >>> 0;
+}
+
+/**
+ * Build a puzzle code.
+ *
+ * @param {{speciesId: string, seed: number, settings: object}} puzzle
+ * @returns {string}
+ */
+export function encodePuzzleCode({ speciesId, seed, settings }) {
+  const full = { ...DEFAULT_SETTINGS, ...settings };
+  full.pieceCount = customPieceCount(full.difficulty, full.pieceCount);
+  const letter = DIFFICULTY_LETTERS[full.difficulty] || DIFFICULTY_LETTERS.medium;
+  const parts = [speciesId.toUpperCase(), letter, (seed >>> 0).toString(36).toUpperCase()];
+
+  // A value the code can't name (say, a style FRACTURE_STYLES doesn't have) is
+  // left out, and plays as the default, as it would anyway
+  const modifiers = Object.entries(MODIFIERS)
+    .filter(([, { key }]) => full[key] !== DEFAULT_SETTINGS[key])
+    .map(([token, modifier]) => [token, modifierToNumber(modifier, full[modifier.key])])
+    .filter(([, n]) => n >= 0)
+    .map(([token, n]) => `${token}${n}`)
+    .join('');
+  if (modifiers) parts.push(modifiers);
+
+  return parts.join('-');
+}
+
+/**
+ * Parse a puzzle code. Case-insensitive and tolerant of surrounding whitespace.
+ * Species ids are returned as-is; callers check them against LEAF_SPECIES.
+ *
+ * @param {string} code
+ * @returns {{speciesId: string, seed: number, settings: object} | null}
+ */
+export function decodePuzzleCode(code) {
+  if (typeof code !== 'string') return null;
+  const parts = code.trim().toUpperCase().split('-');
+  if (parts.length < 3 || parts.length > 4) return null;
+
+  const [speciesPart, letter, seedPart, modifierPart = ''] = parts;
+  if (!/^[A-Z]+$/.test(speciesPart) || !/^[0-9A-Z]{1,7}$/.test(seedPart)) return null;
+
+  const difficulty = Object.keys(DIFFICULTY_LETTERS).find(
+    (d) => DIFFICULTY_LETTERS[d] === letter
+  );
+  if (!difficulty) return null;
+
+  const seed = parseInt(seedPart, 36);
+  if (!Number.isFinite(seed) || seed > 0xffffffff) return null;
+
+  const settings = { ...DEFAULT_SETTINGS, difficulty };
+  if (!/^([A-Z]\d+)*$/.test(modifierPart)) return null;
+  for (const [, token, digits] of modifierPart.matchAll(/([A-Z])(\d+)/g)) {
+    const modifier = MODIFIERS[token];
+    const value = modifier && numberToModifier(modifier, parseInt(digits, 10));
+    if (value === undefined) return null;
+    settings[modifier.key] = value;
+  }
+  // A shatter point needs both halves
+  if ((settings.impactX == null) !== (settings.impactY == null)) return null;
+
+  return { speciesId: speciesPart.toLowerCase(), seed, settings };
+}
@@ -0,0 +1,209 @@
+/**
+ * Solve replays: a compact, timestamped log of everything that happened to
+ * the pieces during a solve, and playback of it.
+ *
+ * A replay names its puzzle by code (the pieces are rebuilt from that, as
+ * for a save), then holds every piece's starting pose and a list of
+ * events, each `[t, type, payload]` with t in milliseconds of play:
+ *
+ *   pickup  ids of the pieces picked up (a piece and anything joined to it)
+ *   move    poses of pieces moved: dragged, nudged, or by undo, a hint or a tool
+ *   rotate  poses of pieces turned
+ *   drop    poses of pieces put down (on the board or in the tray)
+ *   snap    poses of pieces that snapped into the leaf or onto a neighbour
+ *
+ * A pose is `[id, x, y, rotation, flags]`, positioned relative to the leaf
+ * in leaf units (so a replay plays back at any window size), with flags 1
+ * for placed and 2 for in the tray.
+ */
+
+import { readStored, writeStored, removeStored } from './storage';
+
+/** Bump when the format changes; replays from another version are refused. */
+export const REPLAY_VERSION = 1;
+
+export const REPLAY_EVENTS = ['pickup', 'move', 'rotate', 'drop', 'snap'];
+
+const REPLAY_KEY = 'leaf-it-together:replay';
+const MOVE_INTERVAL = 80; // ms: a drag is recorded at most this often
+const PLACED = 1;
+const IN_TRAY = 2;
+
+const round = (value, places) => Math.round(value * 10 ** places) / 10 ** places;
+
+/** The recorded poses of some fragments on a board laid out at `leafOrigin` and `scale`. */
+function posesOf(fragments, leafOrigin, scale) {
+  return fragments.map((f) => [
+    f.id,
+    round((f.currentPosition.x - leafOrigin.x) / scale, 1),
+    round((f.currentPosition.y - leafOrigin.y) / scale, 1),
+    round(f.rotation, 3),
+    (f.isPlaced ? PLACED : 0) | (f.inTray ? IN_TRAY : 0),
+  ]);
+}
+
+const samePose = (a, b) => !!b && a[1] === b[1] && a[2] === b[2] && a[3] === b[3] && a[4] === b[4];
+
+/**
+ * Start recording a solve, from the board as it's first laid out.
+ *
+ * @param {string} puzzleCode
+ * @param {Array<Fragment>} fragments - The fragments on the board
+ * @param {{x: number, y: number}} leafOrigin
+ * @param {number} scale
+ */
+export function createReplay(puzzleCode, fragments, leafOrigin, scale) {
+  return {
+    version: REPLAY_VERSION,
+    puzzleCode,
+    start: posesOf(fragments, leafOrigin, scale),
+    events: [],
+    duration: 0,
+  };
+}
+
+/**
+ * Add an event to a replay. A drag's moves come thick and fast, so a move
+ * of the same pieces soon after the last one replaces its poses instead.
+ *
+ * @param {object} replay
+ * @param {number} t - Milliseconds of play
+ * @param {string} type - One of REPLAY_EVENTS
+ * @param {Array<Fragment>} fragments - The fragments it happened to
+ */
+export function logEvent(replay, t, type, fragments, leafOrigin, scale) {
+  const time = Math.max(Math.round(t), replay.duration);
+  const payload = type === 'pickup' ? fragments.map((f) => f.id) : posesOf(fragments, leafOrigin, scale);
+  const last = replay.events[replay.events.length - 1];
+  if (
+    type === 'move' &&
+    last?.[1] === 'move' &&
+    time - last[0] < MOVE_INTERVAL &&
+    last[2].length === payload.length &&
+    last[2].every((pose, i) => pose[0] === payload[i][0])
+  ) {
+    replay.events[replay.events.length - 1] = [last[0], type, payload];
+    return;
+  }
+  replay.events.push([time, type, payload]);
+  replay.duration = time;
+}
+
+/**
+ * Log whichever of `fragments` have moved since the replay last saw them,
+ * as one move — for changes that don't come from handling a piece.
+ */
+export function logChanges(replay, t, fragments, leafOrigin, scale) {
+  const { poses } = replayAt(replay, Infinity);
+  const changed = fragments.filter((f) => !samePose(posesOf([f], leafOrigin, scale)[0], poses.get(f.id)));
+  if (changed.length > 0) logEvent(replay, t, 'move', changed, leafOrigin, scale);
+}
+
+/** Mark the end of the solve, `t` milliseconds in. */
+export function endReplay(replay, t) {
+  replay.duration = Math.max(replay.duration, Math.round(t));
+}
+
+/**
+ * The board `t` milliseconds into a replay.
+ *
+ * @returns {{poses: Map<number, Array>, held: Array<number>}} each piece's
+ *   pose, most recently handled last (so in stacking order), and the ids of
+ *   any pieces picked up and not yet put down
+ */
+export function replayAt(replay, t) {
+  const poses = new Map(replay.start.map((pose) => [pose[0], pose]));
+  let held = [];
+  for (const [time, type, payload] of replay.events) {
+    if (time > t) break;
+    if (type === 'pickup') {
+      held = payload;
+      continue;
+    }
+    for (const pose of payload) {
+      poses.delete(pose[0]);
+      poses.set(pose[0], pose);
+    }
+    if (type === 'drop' || type === 'snap') held = [];
+  }
+  return { poses, held };
+}
+
+/** Pose fragments as `poses` (from replayAt) has them, on a board laid out at `leafOrigin` and `scale`. */
+export function applyReplayPoses(fragments, poses, leafOrigin, scale) {
+  const order = new Map([...poses.keys()].map((id, i) => [id, i]));
+  for (const f of fragments) {
+    const pose = poses.get(f.id);
+    if (!pose) continue;
+    const [, x, y, rotation, flags] = pose;
+    f.currentPosition = { x: leafOrigin.x + x * scale, y: leafOrigin.y + y * scale };
+    f.rotation = rotation;
+    f.isPlaced = (flags & PLACED) !== 0;
+    f.inTray = (flags & IN_TRAY) !== 0;
+    f.zIndex = order.get(f.id);
+  }
+}
+
+const isPose = (pose) =>
+  Array.isArray(pose) && pose.length === 5 && pose.every((n) => Number.isFinite(n));
+
+/** Whether `value` looks like a replay this version can play. */
+export function isReplay(value) {
+  return (
+    !!value &&
+    value.version === REPLAY_VERSION &&
+    typeof value.puzzleCode === 'string' &&
+    Number.isFinite(value.duration) &&
+    Array.isArray(value.start) &&
+    value.start.every(isPose) &&
+    Array.isArray(value.events) &&
+    value.events.every(
+      (e) =>
+        Array.isArray(e) &&
+        Number.isFinite(e[0]) &&
+        REPLAY_EVENTS.includes(e[1]) &&
+        Array.isArray(e[2]) &&
+        (e[1] === 'pickup' ? e[2].every(Number.isFinite) : e[2].every(isPose))
+    )
+  );
+}
+
+/** A replay from exported JSON text, or null if it isn't one. */
+export function parseReplay(text) {
+  try {
+    const value = JSON.parse(text);
+    return isReplay(value) ? value : null;
+  } catch {
+    return null;
+  }
+}
+
+/** The replay kept with the saved game, or null if there's none. */
+export function readSavedReplay() {
+  const value = readStored(REPLAY_KEY);
+  return isReplay(value) ? value : null;
+}
+
+/**
+ * Keep the replay of the saved game's solve so far, stored apart from the
+ * save but written along with it (see saveGame.js).
+ *
+ * @returns {boolean} whether the replay reached storage
+ */
+export function writeSavedReplay(replay) {
+  return writeStored(REPLAY_KEY, replay);
+}
+
+export function clearSavedReplay() {
+  removeStored(REPLAY_KEY);
+}
+
+/** A copy of a replay to carry on recording, so the original stays as it was. */
+export function copyReplay(replay) {
+  return { ...replay, events: replay.events.slice() };
+}
+
+/** A file name for an exported replay, e.g. 'OAK-M-1Z141Z3-replay.json'. */
+export function replayFileName(replay) {
+  return `${replay.puzzleCode}-replay.json`;
+}
@@ -0,0 +1,141 @@
+/**
+ * Saved games: a puzzle in progress, kept so it can be picked up again
+ * after going Back, reloading or closing the tab.
+ *
+ * A save names the puzzle the way its code does (species, settings, seed)
+ * and the fragments are rebuilt from that; on top it holds every
+ * fragment's pose, the gaps found so far, the elapsed time, and the
+ * hints, turns and moves used and time played without the guide (for the
+ * stats and score). Positions are stored relative to the leaf and in leaf
+ * units, so a save carries over to a different window size.
+ *
+ * The solve's replay so far is kept apart (see replay.js), written along
+ * with each save. The save notes how many events the replay had then, so
+ * a replay that didn't make it to storage with its save (a crash between
+ * the two, or no room) is never resumed out of step with the board.
+ *
+ * There's one save at a time, in browser storage when there is any (see
+ * storage.js).
+ */
+
+import { snapshotPoses, restorePoses, projectPoses } from './history';
+import { readStored, writeStored, removeStored } from './storage';
+
+/**
+ * Bump when the format changes incompatibly; saves from another version
+ * are ignored. Fields added since version 1 are optional and given their
+ * defaults in readSave (SAVE_DEFAULTS), so older saves still load.
+ */
+export const SAVE_VERSION = 1;
+
+/** Fields later saves added: what a save without them means. */
+const SAVE_DEFAULTS = {
+  hintsUsed: 0,
+  rotations: 0,
+  moves: 0,
+  guideOff: 0,
+  daily: null, // the daily leaf's day, set by App
+  replayEvents: null, // events in the replay saved alongside
+};
+
+const SAVE_KEY = 'leaf-it-together:save';
+
+/**
+ * Build a save of the puzzle on the board.
+ *
+ * @param {object} puzzle
+ * @param {string} puzzle.puzzleCode
+ * @param {string} puzzle.speciesId
+ * @param {object} puzzle.settings
+ * @param {number} puzzle.seed
+ * @param {Array<Fragment>} puzzle.fragments - The fragments on the board
+ * @param {Array<Fragment>} puzzle.missing - Blown-away fragments
+ * @param {{x: number, y: number}} puzzle.leafOrigin
+ * @param {number} puzzle.scale
+ * @param {number} puzzle.elapsed - Seconds played
+ * @param {number} puzzle.hintsUsed
+ * @param {number} puzzle.rotations - Turn steps made
+ * @param {number} puzzle.moves - Pieces moved somewhere new
+ * @param {number} puzzle.guideOff - Seconds played with the ghost guide off
+ * @param {number} puzzle.replayEvents - Events in the solve's replay so far
+ */
+export function createSave({
+  puzzleCode,
+  speciesId,
+  settings,
+  seed,
+  fragments,
+  missing,
+  leafOrigin,
+  scale,
+  elapsed,
+  hintsUsed,
+  rotations,
+  moves,
+  guideOff,
+  replayEvents,
+}) {
+  const toLeaf = (p) => ({ x: (p.x - leafOrigin.x) / scale, y: (p.y - leafOrigin.y) / scale });
+  return {
+    version: SAVE_VERSION,
+    puzzleCode,
+    speciesId,
+    difficulty: settings.difficulty,
+    settings,
+    seed,
+    poses: projectPoses(snapshotPoses(fragments), toLeaf),
+    identified: missing.filter((f) => f.isIdentified).map((f) => f.id),
+    placed: fragments.filter((f) => f.isPlaced).length,
+    total: fragments.length,
+    elapsed,
+    hintsUsed,
+    rotations,
+    moves,
+    guideOff,
+    replayEvents,
+    savedAt: Date.now(),
+  };
+}
+
+/**
+ * Put rebuilt fragments back the way `save` left them, for a board laid
+ * out at `leafOrigin` and `scale`.
+ */
+export function applySave(save, fragments, missing, leafOrigin, scale) {
+  const toBoard = (p) => ({ x: leafOrigin.x + p.x * scale, y: leafOrigin.y + p.y * scale });
+  restorePoses(fragments, projectPoses(save.poses, toBoard));
+  const identified = new Set(save.identified);
+  missing.forEach((f) => (f.isIdentified = identified.has(f.id)));
+}
+
+/** Whether `value` looks like a save this version can load. */
+function isSave(value) {
+  return (
+    !!value &&
+    value.version === SAVE_VERSION &&
+    typeof value.puzzleCode === 'string' &&
+    typeof value.speciesId === 'string' &&
+    Number.isFinite(value.seed) &&
+    Number.isFinite(value.elapsed) &&
+    Array.isArray(value.poses) &&
+    Array.isArray(value.identified)
+  );
+}
+
+/**
+ * The stored save, with any fields it's too old to have filled in, or
+ * null if there's none (or it's from another version).
+ */
+export function readSave() {
+  const value = readStored(SAVE_KEY);
+  return isSave(value) ? { ...SAVE_DEFAULTS, ...value } : null;
+}
+
+/** @returns {boolean} whether the save reached storage */
+export function writeSave(save) {
+  return writeStored(SAVE_KEY, save);
+}
+
+export function clearSave() {
+  removeStored(SAVE_KEY);
+}
@@ -0,0 +1,89 @@
+/**
+ * Scoring: turn how a puzzle was solved into points and a 1–3 star rating.
+ *
+ * Each part of the score is earned against a par that grows with the piece
+ * count and (for time) the species' difficulty, so a quick 5-piece birch
+ * and a patient 13-piece oak can both earn three stars. Hints cost points
+ * against the difficulty's hint budget, and solving with the ghost guide
+ * switched off earns a bonus for the share of the time it was off.
+ */
+
+import { hintLimit } from './hints';
+
+const PAR_SECONDS_PER_PIECE = 12; // at species difficulty 1
+const SPECIES_TIME_FACTOR = 0.2; // extra par time per species difficulty star above 1
+const PAR_MOVES_PER_PIECE = 1.5;
+const PAR_TURNS_PER_PIECE = { quarter: 1.5, free: 6 }; // free rotation turns in smaller steps
+
+/** Points available for each part of the score. */
+export const SCORE_WEIGHTS = {
+  time: 400,
+  moves: 250,
+  turns: 150,
+  hints: 200,
+  guideOff: 200, // bonus, on top of the 1000 the others add up to
+};
+
+/** Scores needed for two and three stars. */
+export const STAR_THRESHOLDS = [500, 800];
+
+/** Full marks at or under par, then falling off as par ÷ actual. */
+function againstPar(actual, par) {
+  return actual <= par ? 1 : par / actual;
+}
+
+/**
+ * Score a solve.
+ *
+ * @param {object} solve
+ * @param {number} solve.time - Seconds
+ * @param {number} solve.moves - Pieces picked up and put down somewhere new
+ * @param {number} solve.rotations - Turn steps made
+ * @param {number} solve.hints - Hints used
+ * @param {number} solve.guideOffShare - Share of the time the ghost guide was off, 0–1
+ * @param {number} solve.pieces - Piece count (including any blown away)
+ * @param {number} solve.speciesDifficulty - The species' 1–5 difficulty stars
+ * @param {string} solve.difficulty
+ * @param {'quarter' | 'free'} solve.rotationMode
+ * @returns {{score: number, stars: number, breakdown: Array<{label: string, points: number, max: number}>}}
+ */
+export function scoreSolve({
+  time,
+  moves,
+  rotations,
+  hints,
+  guideOffShare,
+  pieces,
+  speciesDifficulty,
+  difficulty,
+  rotationMode,
+}) {
+  const parTime = pieces * PAR_SECONDS_PER_PIECE * (1 + SPECIES_TIME_FACTOR * (speciesDifficulty - 1));
+  const parMoves = pieces * PAR_MOVES_PER_PIECE;
+  const parTurns = pieces * (PAR_TURNS_PER_PIECE[rotationMode] ?? PAR_TURNS_PER_PIECE.quarter);
+
+  const parts = [
+    { label: 'Time', share: againstPar(Math.max(time, 1), parTime), max: SCORE_WEIGHTS.time },
+    { label: 'Moves', share: againstPar(moves, parMoves), max: SCORE_WEIGHTS.moves },
+    { label: 'Turns', share: againstPar(rotations, parTurns), max: SCORE_WEIGHTS.turns },
+    {
+      label: 'Hints',
+      share: Math.max(0, 1 - hints / hintLimit(difficulty)),
+      max: SCORE_WEIGHTS.hints,
+    },
+    {
+      label: 'Guide off bonus',
+      share: Math.min(1, Math.max(0, guideOffShare)),
+      max: SCORE_WEIGHTS.guideOff,
+    },
+  ];
+  const breakdown = parts.map(({ label, share, max }) => ({ label, points: Math.round(share * max), max }));
+  const score = breakdown.reduce((sum, part) => sum + part.points, 0);
+  const stars = 1 + STAR_THRESHOLDS.filter((t) => score >= t).length;
+  return { score, stars, breakdown };
+}
+
+/** Stars as ★★☆. */
+export function starString(stars) {
+  return '★'.repeat(stars) + '☆'.repeat(3 - stars);
+}
@@ -0,0 +1,140 @@
+/**
+ * Personal records: for each species and kind of puzzle (see recordKey),
+ * how many times it's been solved, the best and total times, the rotations and hints used
+ * along the way, and the best score and stars (see scoring.js). Kept in
+ * browser storage when there is any (see storage.js).
+ *
+ * Stats are `{ [speciesId]: { [recordKey]: StatsRecord } }`; times are
+ * whole seconds.
+ */
+
+import { readStored, writeStored } from './storage';
+import { customPieceCount } from './fracture';
+
+const STATS_KEY = 'leaf-it-together:stats';
+
+/** Seconds as M:SS. */
+export function formatTime(seconds) {
+  const m = Math.floor(seconds / 60);
+  const s = seconds % 60;
+  return `${m}:${s.toString().padStart(2, '0')}`;
+}
+
+/**
+ * Which records a solve counts towards: its difficulty, plus whatever else
+ * changes how hard it is — a custom piece count, blown-away pieces, free
+ * rotation — so a 3-piece puzzle never sets the best time for a normal one.
+ * Doubles as the records' label, e.g. 'medium' or 'hard · 1 blown away'.
+ * A piece count equal to the difficulty's own counts as no custom count.
+ *
+ * @param {object} settings - Puzzle settings (see DEFAULT_SETTINGS)
+ */
+export function recordKey({ difficulty, pieceCount, missingPieces, rotationMode }) {
+  const parts = [difficulty];
+  const custom = customPieceCount(difficulty, pieceCount);
+  if (custom != null) parts.push(`${custom} pieces`);
+  if (missingPieces > 0) parts.push(`${missingPieces} blown away`);
+  if (rotationMode === 'free') parts.push('free rotation');
+  return parts.join(' · ');
+}
+
+/** @returns {StatsRecord | null} the record for one species and recordKey */
+export function statsRecord(stats, speciesId, key) {
+  return stats[speciesId]?.[key] ?? null;
+}
+
+/** Mean solve time, in whole seconds. */
+export function averageTime(record) {
+  return record.solves > 0 ? Math.round(record.totalTime / record.solves) : null;
+}
+
+/**
+ * Add a finished puzzle to the records (without changing `stats`).
+ *
+ * @param {object} stats
+ * @param {string} speciesId
+ * @param {string} key - See recordKey
+ * @param {{time: number, rotations?: number, hints?: number, score?: number, stars?: number}} solve
+ * @returns {{stats: object, record: StatsRecord, isBest: boolean, previousBest: number | null}}
+ *   isBest is true for the first solve too, with no previousBest
+ *
+ * @typedef {object} StatsRecord
+ * @property {number} solves
+ * @property {number} bestTime
+ * @property {number} totalTime - Sum of every solve's time, for the average
+ * @property {number} rotations - Turns made, over every solve
+ * @property {number} hints - Hints used, over every solve
+ * @property {number} bestScore
+ * @property {number} bestStars - 1–3
+ */
+export function recordSolve(stats, speciesId, key, { time, rotations = 0, hints = 0, score = 0, stars = 1 }) {
+  const old = statsRecord(stats, speciesId, key);
+  const previousBest = old?.bestTime ?? null;
+  const isBest = previousBest == null || time < previousBest;
+  const record = {
+    solves: (old?.solves ?? 0) + 1,
+    bestTime: isBest ? time : previousBest,
+    totalTime: (old?.totalTime ?? 0) + time,
+    rotations: (old?.rotations ?? 0) + rotations,
+    hints: (old?.hints ?? 0) + hints,
+    bestScore: Math.max(old?.bestScore ?? 0, score),
+    bestStars: Math.max(old?.bestStars ?? 1, stars),
+  };
+  return {
+    stats: { ...stats, [speciesId]: { ...stats[speciesId], [key]: record } },
+    record,
+    isBest,
+    previousBest,
+  };
+}
+
+/** Two records of the same kind of puzzle as one. */
+function mergeRecords(a, b) {
+  return {
+    solves: a.solves + b.solves,
+    bestTime: Math.min(a.bestTime, b.bestTime),
+    totalTime: a.totalTime + b.totalTime,
+    rotations: (a.rotations ?? 0) + (b.rotations ?? 0),
+    hints: (a.hints ?? 0) + (b.hints ?? 0),
+    bestScore: Math.max(a.bestScore ?? 0, b.bestScore ?? 0),
+    bestStars: Math.max(a.bestStars ?? 1, b.bestStars ?? 1),
+  };
+}
+
+/**
+ * A stored recordKey as recordKey makes it now: older stats could name the
+ * difficulty's own piece count, e.g. 'medium · 8 pieces' for plain 'medium'.
+ */
+function normalizeKey(key) {
+  const [difficulty, ...rest] = key.split(' · ');
+  const parts = rest.filter((part) => {
+    const count = /^(\d+) pieces$/.exec(part)?.[1];
+    return count == null || customPieceCount(difficulty, Number(count)) != null;
+  });
+  return [difficulty, ...parts].join(' · ');
+}
+
+/** Stats with each species' records under their current keys, merging any that now share one. */
+function normalizeStats(stats) {
+  const result = {};
+  for (const [speciesId, records] of Object.entries(stats)) {
+    result[speciesId] = {};
+    for (const [key, record] of Object.entries(records ?? {})) {
+      const normal = normalizeKey(key);
+      const other = result[speciesId][normal];
+      result[speciesId][normal] = other ? mergeRecords(other, record) : record;
+    }
+  }
+  return result;
+}
+
+/** The stored stats, or none yet. */
+export function readStats() {
+  const value = readStored(STATS_KEY);
+  return value && typeof value === 'object' && !Array.isArray(value) ? normalizeStats(value) : {};
+}
+
+/** @returns {boolean} whether the stats reached storage */
+export function writeStats(stats) {
+  return writeStored(STATS_KEY, stats);
+}
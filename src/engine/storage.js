@@ -0,0 +1,47 @@
+/**
+ * Browser storage that's allowed not to be there. Some places the game
+ * runs (private windows, sandboxed frames) have no localStorage, or throw
+ * on every touch of it; every call here fails quietly instead, so the
+ * caller just carries on with what it has in memory.
+ */
+
+function localStore() {
+  try {
+    return window.localStorage ?? null;
+  } catch {
+    return null;
+  }
+}
+
+/** The JSON value stored under `key`, or null if there's none (or no storage). */
+export function readStored(key) {
+  try {
+    const raw = localStore()?.getItem(key);
+    return raw ? JSON.parse(raw) : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Store `value` as JSON under `key`.
+ * @returns {boolean} whether it was written
+ */
+export function writeStored(key, value) {
+  try {
+    const store = localStore();
+    if (!store) return false;
+    store.setItem(key, JSON.stringify(value));
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+export function removeStored(key) {
+  try {
+    localStore()?.removeItem(key);
+  } catch {
+    // Nothing stored to forget
+  }
+}
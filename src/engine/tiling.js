@@ -0,0 +1,247 @@
+/**
+ * Tiling rules: every fracture must cover the leaf exactly, in exactly the
+ * number of pieces asked for, with no piece too small to pick up or too
+ * large to be a puzzle.
+ *
+ * Styles cut freely; `rebalanceCells` then evens the result out by merging
+ * undersized cells into a neighbour and splitting oversized ones, and
+ * `validateTiling` reports how well the rules were met.
+ */
+
+import {
+  splitAtTJunctions,
+  matchSharedEdges,
+  splitByLine,
+  absArea,
+  principalAxis,
+  polygonCentroid,
+  dist,
+} from './geometry';
+
+const VERTEX_TOLERANCE = 0.01;
+const COVERAGE_TOLERANCE = 1e-6;
+const MAX_ROUNDS = 24;
+
+/** A piece may take no less than this share of the leaf... */
+export const MIN_PIECE_FRACTION = 0.05;
+/** ...and no more than this. */
+export const MAX_PIECE_FRACTION = 0.4;
+
+/**
+ * Smallest and largest share of the leaf one piece may take: 5% to 40%,
+ * except that the floor relaxes to 65% of an even share (0.65 / n) above
+ * 13 pieces. With n pieces the average is 1/n, so from 20 pieces up a 5%
+ * floor couldn't be met at all, and just above 13 it would leave the
+ * pieces no room to differ in size.
+ */
+export function tilingBounds(n) {
+  return {
+    minFraction: Math.min(MIN_PIECE_FRACTION, 0.65 / n),
+    maxFraction: MAX_PIECE_FRACTION,
+  };
+}
+
+/**
+ * Union of two cells that share one stretch of boundary: drop the edges
+ * they share and chain what's left into a single loop.
+ *
+ * @returns {Array<{x, y}> | null} null if the cells don't form one simple loop
+ */
+function mergePair(cells, edgeNeighbours, i, j) {
+  const edges = [];
+  for (const [k, other] of [[i, j], [j, i]]) {
+    cells[k].forEach((a, e) => {
+      if (edgeNeighbours[k][e] === other) return;
+      edges.push({ a, b: cells[k][(e + 1) % cells[k].length] });
+    });
+  }
+  if (edges.length < 3) return null;
+
+  const used = edges.map(() => false);
+  const loop = [edges[0].a];
+  let end = edges[0].b;
+  used[0] = true;
+  for (let step = 1; step < edges.length; step++) {
+    const next = edges.findIndex((e, k) => !used[k] && dist(e.a, end) < VERTEX_TOLERANCE);
+    if (next < 0) break;
+    used[next] = true;
+    loop.push(edges[next].a);
+    end = edges[next].b;
+  }
+
+  // Leftover edges mean the shared boundary was broken (a ring or a pinch)
+  if (used.some((u) => !u) || dist(end, loop[0]) > VERTEX_TOLERANCE) return null;
+  return loop;
+}
+
+/**
+ * Cut a cell in two across its long axis, sliding the cut until the halves
+ * have equal area.
+ *
+ * @returns {[Array<{x, y}>, Array<{x, y}>] | null}
+ */
+function splitCell(cell) {
+  const axis = principalAxis(cell);
+  const centre = polygonCentroid(cell);
+  const dir = { x: -axis.y, y: axis.x };
+  const project = (p) => (p.x - centre.x) * axis.x + (p.y - centre.y) * axis.y;
+  let lo = Math.min(...cell.map(project));
+  let hi = Math.max(...cell.map(project));
+
+  let halves = null;
+  for (let iter = 0; iter < 30; iter++) {
+    const mid = (lo + hi) / 2;
+    const point = { x: centre.x + axis.x * mid, y: centre.y + axis.y * mid };
+    halves = splitByLine(cell, point, dir);
+    // The left of `dir` is the low end of the axis
+    if (absArea(halves[0]) < absArea(halves[1])) lo = mid;
+    else hi = mid;
+  }
+  if (!halves || halves.some((h) => absArea(h) <= 0)) return null;
+  return halves;
+}
+
+/**
+ * Merge each of `candidates` (in order) into whichever neighbour gives the
+ * smallest result. A cell takes part in at most one merge per call, so
+ * every union is worked out from the same, still-valid adjacency.
+ *
+ * @returns {number} how many merges happened
+ */
+function mergeBatch(cells, edgeNeighbours, candidates, limit = Infinity) {
+  const touched = new Set();
+  const merged = [];
+  for (const i of candidates) {
+    if (merged.length >= limit) break;
+    if (touched.has(i)) continue;
+    const neighbours = [...new Set(edgeNeighbours[i].filter((j) => j >= 0 && !touched.has(j)))];
+    neighbours.sort((a, b) => absArea(cells[a]) - absArea(cells[b]));
+    for (const j of neighbours) {
+      const union = mergePair(cells, edgeNeighbours, i, j);
+      if (!union) continue;
+      merged.push({ i, j, union });
+      touched.add(i);
+      touched.add(j);
+      break;
+    }
+  }
+
+  for (const { j, union } of merged) cells[j] = union;
+  merged
+    .map(({ i }) => i)
+    .sort((a, b) => b - a)
+    .forEach((i) => cells.splice(i, 1));
+  return merged.length;
+}
+
+/**
+ * Even out a fracture: merge undersized cells into a neighbour and split
+ * the largest ones until there are exactly `n` cells, all within
+ * `tilingBounds(n)`. Works in rounds — every sliver merged, then every
+ * needed split made — so big puzzles settle in a few passes.
+ *
+ * @param {Array<Array<{x, y}>>} cells - Conforming cells (see splitAtTJunctions)
+ * @param {number} n - Target piece count
+ * @returns {{cells: Array<Array<{x, y}>>, merges: number, splits: number}}
+ */
+export function rebalanceCells(cells, n) {
+  let result = cells.filter((c) => absArea(c) > 0);
+  const { minFraction, maxFraction } = tilingBounds(n);
+  const total = result.reduce((sum, c) => sum + absArea(c), 0);
+  let merges = 0;
+  let splits = 0;
+
+  for (let round = 0; round < MAX_ROUNDS; round++) {
+    const edgeNeighbours = matchSharedEdges(result);
+    const areas = result.map(absArea);
+    const ascending = areas.map((_, i) => i).sort((a, b) => areas[a] - areas[b]);
+
+    // Slivers first: fold them into a neighbour rather than dropping them
+    const undersized = ascending.filter((i) => areas[i] < total * minFraction);
+    if (undersized.length > 0 && result.length > 1) {
+      const merged = mergeBatch(result, edgeNeighbours, undersized);
+      merges += merged;
+      if (merged > 0) continue;
+    }
+
+    // Then split the largest cells, as many as are oversized or missing
+    const oversized = ascending.filter((i) => areas[i] > total * maxFraction).length;
+    const toSplit = Math.max(n - result.length, oversized);
+    if (toSplit > 0) {
+      const largest = ascending.slice(-toSplit);
+      const halves = new Map(largest.map((i) => [i, splitCell(result[i])]));
+      const before = result.length;
+      result = result.flatMap((cell, i) => halves.get(i) || [cell]);
+      if (result.length > before) {
+        splits += result.length - before;
+        // The cuts leave T-junctions on the neighbours' side of the old edges
+        result = splitAtTJunctions(result, VERTEX_TOLERANCE);
+        continue;
+      }
+    }
+
+    // Too many pieces: merge the smallest into their neighbours
+    if (result.length > n) {
+      const merged = mergeBatch(result, edgeNeighbours, ascending, result.length - n);
+      merges += merged;
+      if (merged > 0) continue;
+    }
+    break;
+  }
+
+  return { cells: result, merges, splits };
+}
+
+/**
+ * Check a set of cells against the tiling rules.
+ *
+ * @param {Array<Array<{x, y}>>} cells
+ * @param {Array<{x, y}>} outline - The leaf they should tile
+ * @param {number} n - Requested piece count
+ * @returns {TilingReport}
+ *
+ * @typedef {object} TilingReport
+ * @property {boolean} ok - Every rule below holds
+ * @property {number} pieceCount
+ * @property {number} expectedCount
+ * @property {number} coverage - Total piece area ÷ leaf area (1 for an exact tiling)
+ * @property {number} smallest - Smallest piece as a fraction of the leaf
+ * @property {number} largest - Largest piece as a fraction of the leaf
+ * @property {number} minFraction - Floor enforced for this piece count (see tilingBounds)
+ * @property {number} maxFraction - Ceiling enforced
+ * @property {boolean} floorRelaxed - Whether minFraction is below MIN_PIECE_FRACTION
+ * @property {Array<string>} problems - Human-readable rule failures
+ */
+export function validateTiling(cells, outline, n) {
+  const { minFraction, maxFraction } = tilingBounds(n);
+  const leafArea = absArea(outline);
+  const fractions = cells.map((c) => absArea(c) / leafArea);
+  const coverage = fractions.reduce((sum, f) => sum + f, 0);
+  const smallest = Math.min(...fractions);
+  const largest = Math.max(...fractions);
+
+  const problems = [];
+  if (cells.length !== n) problems.push(`${cells.length} pieces, expected ${n}`);
+  if (Math.abs(coverage - 1) > COVERAGE_TOLERANCE) {
+    problems.push(`pieces cover ${(coverage * 100).toFixed(4)}% of the leaf`);
+  }
+  if (smallest < minFraction - COVERAGE_TOLERANCE) {
+    problems.push(`smallest piece is ${(smallest * 100).toFixed(1)}% of the leaf`);
+  }
+  if (largest > maxFraction + COVERAGE_TOLERANCE) {
+    problems.push(`largest piece is ${(largest * 100).toFixed(1)}% of the leaf`);
+  }
+
+  return {
+    ok: problems.length === 0,
+    pieceCount: cells.length,
+    expectedCount: n,
+    coverage,
+    smallest,
+    largest,
+    minFraction,
+    maxFraction,
+    floorRelaxed: minFraction < MIN_PIECE_FRACTION,
+    problems,
+  };
+}
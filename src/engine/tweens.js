@@ -0,0 +1,183 @@
+/**
+ * Tweens: short animations layered over the board, purely for show.
+ *
+ * Game state — positions, rotations, placed flags — always jumps straight
+ * to its final value, so hit-testing, snapping and undo never wait on an
+ * animation. A tween only describes how far the drawn piece is from that
+ * state, easing back to nothing; the renderer asks `fragmentMotion` what to
+ * add to each fragment as it draws it.
+ *
+ * Tweens live in a Map keyed by fragment id and channel (`pose`, `lift`,
+ * `burst`, `hint`), so starting a tween on a busy channel replaces the old
+ * one.
+ */
+
+import { normalizeAngle } from './fracture';
+
+export const SNAP_DURATION = 200; // ms for a piece to ease into its slot
+export const LIFT_DURATION = 120; // ms to pick a piece up or set it down
+export const DRIFT_DURATION = 1600; // ms for blown-away pieces to drift back in at victory
+export const BURST_DURATION = 900; // ms for the victory separate-and-click
+export const IDLE_DELAY = 3000; // ms without input before loose pieces start breathing
+export const BREATH_PERIOD = 3600; // ms per breath
+export const BREATH_LIFT = 0.2; // how far a breath raises a piece (see drawFragment)
+export const HINT_DURATION = 2400; // ms a hint highlight stays up
+
+const BURST_SPREAD = 0.12; // how far pieces part at victory, as a share of their offset from the leaf centre
+
+export function easeOutCubic(t) {
+  return 1 - Math.pow(1 - t, 3);
+}
+
+/** Out quickly, ease to a stop, then fall back with a click. */
+function thereAndBack(t) {
+  return t < 0.6 ? easeOutCubic(t / 0.6) : 1 - Math.pow((t - 0.6) / 0.4, 3);
+}
+
+/** An empty set of tweens. */
+export function createTweens() {
+  return new Map();
+}
+
+/**
+ * Start (or replace) the tween on `key`.
+ *
+ * @param {Map} tweens
+ * @param {string} key - See `tweenKey`
+ * @param {object} tween
+ * @param {number} tween.duration - ms
+ * @param {number} [tween.delay=0] - ms to hold the starting value before it runs
+ * @param {(t: number) => any} tween.at - Value at progress t, from 0 to 1
+ * @param {number} now - performance.now()
+ */
+export function startTween(tweens, key, { duration, delay = 0, at }, now) {
+  tweens.set(key, { start: now + delay, duration, at });
+}
+
+export function tweenKey(id, channel) {
+  return `${id}:${channel}`;
+}
+
+/** Current value of the tween on `key`, or undefined if there isn't one. */
+export function tweenValue(tweens, key, now) {
+  const tween = tweens.get(key);
+  if (!tween) return undefined;
+  const t = Math.min(1, Math.max(0, (now - tween.start) / tween.duration));
+  return tween.at(t);
+}
+
+/**
+ * Drop finished tweens.
+ * @returns {boolean} whether any are still running
+ */
+export function settleTweens(tweens, now) {
+  for (const [key, tween] of tweens) {
+    if (now >= tween.start + tween.duration) tweens.delete(key);
+  }
+  return tweens.size > 0;
+}
+
+/** Remove every tween (a new puzzle, or motion switched off). */
+export function clearTweens(tweens) {
+  tweens.clear();
+}
+
+/**
+ * How a fragment is drawn right now, relative to its real pose.
+ *
+ * @returns {{dx: number, dy: number, rotation: number, lift: number | undefined}}
+ *   lift is undefined when no lift tween is running, so the caller decides
+ *   its resting value (held or not)
+ */
+export function fragmentMotion(tweens, id, now) {
+  const motion = { dx: 0, dy: 0, rotation: 0, lift: tweenValue(tweens, tweenKey(id, 'lift'), now) };
+  for (const channel of ['pose', 'burst']) {
+    const offset = tweenValue(tweens, tweenKey(id, channel), now);
+    if (!offset) continue;
+    motion.dx += offset.dx;
+    motion.dy += offset.dy;
+    motion.rotation += offset.rotation || 0;
+  }
+  return motion;
+}
+
+/** Ease a fragment from a pose it just jumped away from into its new one. */
+export function poseTween(from, to) {
+  const offset = {
+    dx: from.currentPosition.x - to.currentPosition.x,
+    dy: from.currentPosition.y - to.currentPosition.y,
+    rotation: normalizeAngle(from.rotation - to.rotation),
+  };
+  return {
+    duration: SNAP_DURATION,
+    at: (t) => {
+      const k = 1 - easeOutCubic(t);
+      return { dx: offset.dx * k, dy: offset.dy * k, rotation: offset.rotation * k };
+    },
+  };
+}
+
+/** Raise or lower a piece between two lift levels. */
+export function liftTween(from, to) {
+  return {
+    duration: LIFT_DURATION,
+    at: (t) => from + (to - from) * easeOutCubic(t),
+  };
+}
+
+/**
+ * Blow a piece in on the breeze: from `offset` away (and `spin` radians
+ * turned) into its place, swaying gently on the way.
+ */
+export function driftTween(offset, spin) {
+  return {
+    duration: DRIFT_DURATION,
+    at: (t) => {
+      const k = 1 - easeOutCubic(t);
+      return {
+        dx: offset.dx * k,
+        dy: offset.dy * k + Math.sin((1 - k) * Math.PI * 2) * 12 * k,
+        rotation: spin * k,
+      };
+    },
+  };
+}
+
+/**
+ * Victory: a placed piece parts from the leaf's centre and clicks back.
+ * `centroid` is the piece's leaf-local centroid.
+ */
+export function burstTween(centroid, scale, delay = 0) {
+  const dx = centroid.x * scale * BURST_SPREAD;
+  const dy = centroid.y * scale * BURST_SPREAD;
+  return {
+    duration: BURST_DURATION,
+    delay,
+    at: (t) => {
+      const k = thereAndBack(t);
+      return { dx: dx * k, dy: dy * k, rotation: 0 };
+    },
+  };
+}
+
+/** A highlight that pulses `pulses` times, rising from and falling back to 0. */
+export function pulseTween(duration = HINT_DURATION, pulses = 3) {
+  return {
+    duration,
+    at: (t) => 0.5 - 0.5 * Math.cos(t * pulses * Math.PI * 2),
+  };
+}
+
+/**
+ * How far an idle loose piece is lifted mid-breath. Pieces breathe out of
+ * step, and the breathing fades in over a second once the board goes idle.
+ *
+ * @param {number} id - Fragment id, to offset its phase
+ * @param {number} idleFor - ms since the last input
+ */
+export function breathLift(id, idleFor, now) {
+  if (idleFor < IDLE_DELAY) return 0;
+  const strength = Math.min(1, (idleFor - IDLE_DELAY) / 1000);
+  const phase = now / BREATH_PERIOD + id * 0.37;
+  return BREATH_LIFT * strength * (0.5 - 0.5 * Math.cos(phase * Math.PI * 2));
+}
@@ -0,0 +1,58 @@
+/**
+ * Board viewport: how the board is zoomed and panned on the canvas.
+ *
+ * A view `{ zoom, x, y }` maps a board point p to the screen point
+ * p * zoom + (x, y). Fragments, snapping and hit-testing all work in board
+ * coordinates; only input and drawing go through the view. Snap tolerances
+ * are meant in screen pixels, so callers divide them by the zoom.
+ */
+
+export const MIN_ZOOM = 0.5;
+export const MAX_ZOOM = 3;
+
+/** The unzoomed, unpanned view. */
+export function identityView() {
+  return { zoom: 1, x: 0, y: 0 };
+}
+
+/** Screen (canvas CSS pixel) point → board point. */
+export function screenToBoard(view, p) {
+  return { x: (p.x - view.x) / view.zoom, y: (p.y - view.y) / view.zoom };
+}
+
+/**
+ * Zoom by `factor` keeping the board point under `screenPoint` fixed there.
+ * The zoom is clamped to MIN_ZOOM–MAX_ZOOM.
+ */
+export function zoomAt(view, screenPoint, factor) {
+  const zoom = Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, view.zoom * factor));
+  const anchor = screenToBoard(view, screenPoint);
+  return {
+    zoom,
+    x: screenPoint.x - anchor.x * zoom,
+    y: screenPoint.y - anchor.y * zoom,
+  };
+}
+
+/** Shift the view by a screen-space offset. */
+export function panBy(view, dx, dy) {
+  return { ...view, x: view.x + dx, y: view.y + dy };
+}
+
+/**
+ * The view that fits `bounds` (in board coordinates) into a canvas of
+ * `width` × `height`, centred, with `padding` screen pixels spare.
+ */
+export function fitView(bounds, width, height, padding = 24) {
+  const bw = Math.max(bounds.maxX - bounds.minX, 1);
+  const bh = Math.max(bounds.maxY - bounds.minY, 1);
+  const zoom = Math.min(
+    MAX_ZOOM,
+    Math.max(MIN_ZOOM, Math.min((width - padding * 2) / bw, (height - padding * 2) / bh))
+  );
+  return {
+    zoom,
+    x: width / 2 - ((bounds.minX + bounds.maxX) / 2) * zoom,
+    y: height / 2 - ((bounds.minY + bounds.maxY) / 2) * zoom,
+  };
+}